@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Discord bot answering questions through the query handler
+ */
+
+import { createLogger } from '@apos-chatbot/shared';
+import { splitMessage } from './split-message.js';
+
+const logger = createLogger('DiscordBot');
+
+/**
+ * Map a Discord conversation to a chatbot session ID
+ * Each thread is one conversation. Outside a thread, each user gets their own
+ * conversation per channel.
+ * @param {import('./gateway.js').DiscordQuestion} question
+ * @returns {string}
+ */
+export function getSessionId(question) {
+  if (question.threadId) {
+    return `discord-thread-${question.threadId}`;
+  }
+  return `discord-channel-${question.channelId}-${question.userId}`;
+}
+
+/**
+ * Discord bot
+ */
+export class DiscordBot {
+  /**
+   * @param {Object} options
+   * @param {import('events').EventEmitter & {start: () => Promise<void>, stop: () => Promise<void>}} options.gateway
+   *   Gateway emitting `question` events (a `DiscordGateway` or a mock)
+   * @param {{processQuery: Function, getModelName: () => string}} options.queryHandler - Query handler instance
+   * @param {Function} [options.logToMongo] - Conversation logger, called as
+   *   `(sessionId, question, answer, modelName, source, metadata)`
+   */
+  constructor({ gateway, queryHandler, logToMongo }) {
+    this.gateway = gateway;
+    this.queryHandler = queryHandler;
+    this.logToMongo = logToMongo;
+
+    this.gateway.on('question', (question) => this.handleQuestion(question));
+  }
+
+  /**
+   * Connect the gateway
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.gateway.start();
+    logger.info('Discord bot started');
+  }
+
+  /**
+   * Disconnect the gateway
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await this.gateway.stop();
+    logger.info('Discord bot stopped');
+  }
+
+  /**
+   * Answer a question received from Discord
+   * @param {import('./gateway.js').DiscordQuestion} question
+   * @returns {Promise<void>}
+   */
+  async handleQuestion(question) {
+    const sessionId = getSessionId(question);
+    const metadata = {
+      discordUserId: question.userId,
+      discordChannelId: question.channelId
+    };
+
+    logger.info('Processing Discord question', {
+      sessionId,
+      kind: question.kind,
+      query: question.content.substring(0, 50)
+    });
+
+    try {
+      await question.acknowledge();
+
+      const response = await this.queryHandler.processQuery(question.content, {
+        sessionId,
+        source: 'discord',
+        metadata
+      });
+
+      for (const message of splitMessage(response.answer)) {
+        await question.reply(message);
+      }
+
+      if (this.logToMongo) {
+        await this.logToMongo(
+          sessionId,
+          question.content,
+          response.answer,
+          response.metadata?.model || this.queryHandler.getModelName(),
+          'discord',
+          metadata
+        );
+      }
+    } catch (error) {
+      logger.error('Discord question failed', error);
+      await question.reply('An error occurred while processing your question.')
+        .catch(replyError => logger.error('Failed to send error reply', replyError));
+    }
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview discord.js gateway adapter
+ *
+ * Translates slash-command interactions and bot mentions into plain
+ * `DiscordQuestion` objects so the bot logic never touches discord.js
+ * directly. Any EventEmitter with `start()`/`stop()` that emits `question`
+ * events can stand in for this class, such as `MockGateway`, which keeps the
+ * bot testable offline. The discord.js client can be injected as well, to
+ * exercise the translation itself without connecting.
+ */
+
+import { EventEmitter } from 'events';
+import {
+  Client,
+  GatewayIntentBits,
+  Partials,
+  REST,
+  Routes,
+  SlashCommandBuilder
+} from 'discord.js';
+import { createLogger } from '@apos-chatbot/shared';
+
+const logger = createLogger('DiscordGateway');
+
+/** Name of the slash command users ask questions with */
+export const ASK_COMMAND = 'ask';
+
+/**
+ * A question received from Discord, independent of discord.js
+ * @typedef {Object} DiscordQuestion
+ * @property {'command' | 'mention'} kind - How the question was asked
+ * @property {string} content - Question text, with the bot mention removed
+ * @property {string} userId - Discord user ID of the asker
+ * @property {string} channelId - Channel the question was asked in
+ * @property {string|null} threadId - Thread the conversation continues in, if any
+ * @property {() => Promise<void>} acknowledge - Let the user know an answer is coming
+ * @property {(text: string) => Promise<void>} reply - Send one message (must fit Discord's limit)
+ */
+
+/**
+ * Gateway backed by a discord.js client
+ * @fires DiscordGateway#question
+ */
+export class DiscordGateway extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - Bot token
+   * @param {string} [options.clientId] - Application ID, required to register the slash command
+   * @param {import('discord.js').Client} [options.client] - discord.js client, e.g. a fake for offline tests
+   */
+  constructor({ token, clientId, client }) {
+    super();
+    this.token = token;
+    this.clientId = clientId;
+
+    // Direct messages arrive on uncached DM channels, hence the Channel partial
+    this.client = client || new Client({
+      intents: [
+        GatewayIntentBits.Guilds,
+        GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.DirectMessages,
+        GatewayIntentBits.MessageContent
+      ],
+      partials: [Partials.Channel]
+    });
+
+    this.client.on('interactionCreate', (interaction) => this.handleInteraction(interaction));
+    this.client.on('messageCreate', (message) => this.handleMessage(message));
+  }
+
+  /**
+   * Register the slash command and connect to Discord
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.clientId) {
+      await this.registerCommands();
+    } else {
+      logger.warn('DISCORD_CLIENT_ID not set, skipping slash command registration');
+    }
+
+    await this.client.login(this.token);
+    logger.info(`Logged in to Discord as ${this.client.user?.tag}`);
+  }
+
+  /**
+   * Disconnect from Discord
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await this.client.destroy();
+  }
+
+  /**
+   * Register the global `/ask` command
+   * @returns {Promise<void>}
+   */
+  async registerCommands() {
+    const command = new SlashCommandBuilder()
+      .setName(ASK_COMMAND)
+      .setDescription('Ask a question about ApostropheCMS')
+      .addStringOption(option => option
+        .setName('question')
+        .setDescription('Your question')
+        .setRequired(true));
+
+    const rest = new REST({ version: '10' }).setToken(this.token);
+    await rest.put(Routes.applicationCommands(this.clientId), {
+      body: [command.toJSON()]
+    });
+
+    logger.info(`Registered /${ASK_COMMAND} command`);
+  }
+
+  /**
+   * Turn an `/ask` interaction into a question
+   * @param {import('discord.js').Interaction} interaction
+   */
+  handleInteraction(interaction) {
+    if (!interaction.isChatInputCommand() || interaction.commandName !== ASK_COMMAND) {
+      return;
+    }
+
+    const inThread = interaction.channel?.isThread() ?? false;
+    let replied = false;
+
+    /** @type {DiscordQuestion} */
+    const question = {
+      kind: 'command',
+      content: interaction.options.getString('question', true),
+      userId: interaction.user.id,
+      channelId: interaction.channelId,
+      threadId: inThread ? interaction.channelId : null,
+      acknowledge: async () => {
+        await interaction.deferReply();
+      },
+      reply: async (text) => {
+        // The first message replaces the deferred "thinking" reply
+        if (replied) {
+          await interaction.followUp(text);
+        } else {
+          await interaction.editReply(text);
+          replied = true;
+        }
+      }
+    };
+
+    this.emit('question', question);
+  }
+
+  /**
+   * Turn a message that mentions the bot into a question
+   * Mentions outside a thread start a new thread on the message, so that
+   * follow-up questions share the same conversation.
+   * @param {import('discord.js').Message} message
+   */
+  async handleMessage(message) {
+    if (message.author.bot || !this.client.user || !message.mentions.has(this.client.user)) {
+      return;
+    }
+
+    const content = message.content
+      .replace(new RegExp(`<@!?${this.client.user.id}>`, 'g'), '')
+      .trim();
+
+    if (!content) {
+      return;
+    }
+
+    try {
+      let channel = message.channel;
+      if (!channel.isThread() && message.inGuild()) {
+        channel = await message.startThread({
+          name: content.substring(0, 90)
+        });
+      }
+
+      /** @type {DiscordQuestion} */
+      const question = {
+        kind: 'mention',
+        content,
+        userId: message.author.id,
+        channelId: message.channelId,
+        threadId: channel.isThread() ? channel.id : null,
+        acknowledge: async () => {
+          await channel.sendTyping();
+        },
+        reply: async (text) => {
+          await channel.send(text);
+        }
+      };
+
+      this.emit('question', question);
+    } catch (error) {
+      logger.error('Failed to handle mention', error);
+    }
+  }
+}
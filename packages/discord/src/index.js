@@ -0,0 +1,8 @@
+/**
+ * @fileoverview Discord package exports
+ */
+
+export { DiscordBot, getSessionId } from './bot.js';
+export { DiscordGateway, ASK_COMMAND } from './gateway.js';
+export { MockGateway } from './mock-gateway.js';
+export { splitMessage, DISCORD_MESSAGE_LIMIT } from './split-message.js';
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview In-memory gateway for running the bot without Discord
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * What the bot sent in answer to one question
+ * @typedef {Object} MockTranscript
+ * @property {boolean} acknowledged - Whether the bot acknowledged the question
+ * @property {string[]} replies - Messages sent, in order
+ */
+
+/**
+ * Gateway that emits questions passed to `ask` and records the replies
+ * @fires MockGateway#question
+ */
+export class MockGateway extends EventEmitter {
+  constructor() {
+    super();
+    this.started = false;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.started = true;
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.started = false;
+  }
+
+  /**
+   * Ask a question as a Discord user would
+   * Resolves once every `question` listener has finished, so the bot's
+   * answer is complete.
+   * @param {string} content - Question text
+   * @param {Object} [options]
+   * @param {'command' | 'mention'} [options.kind='command']
+   * @param {string} [options.userId='user-1']
+   * @param {string} [options.channelId='channel-1']
+   * @param {string|null} [options.threadId=null]
+   * @returns {Promise<MockTranscript>}
+   */
+  async ask(content, options = {}) {
+    const {
+      kind = 'command',
+      userId = 'user-1',
+      channelId = 'channel-1',
+      threadId = null
+    } = options;
+
+    /** @type {MockTranscript} */
+    const transcript = { acknowledged: false, replies: [] };
+
+    /** @type {import('./gateway.js').DiscordQuestion} */
+    const question = {
+      kind,
+      content,
+      userId,
+      channelId,
+      threadId,
+      acknowledge: async () => {
+        transcript.acknowledged = true;
+      },
+      reply: async (text) => {
+        transcript.replies.push(text);
+      }
+    };
+
+    await Promise.all(this.listeners('question').map(listener => listener(question)));
+    return transcript;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Split long answers into messages that fit Discord's length limit
+ */
+
+/** Maximum characters in a single Discord message */
+export const DISCORD_MESSAGE_LIMIT = 2000;
+
+/**
+ * Split text into messages no longer than the limit
+ * Splits on paragraph and line boundaries where possible. When a split falls
+ * inside a fenced code block, the fence is closed and re-opened (with the same
+ * language) in the next message so code keeps its highlighting.
+ * @param {string} text - Text to split
+ * @param {number} [limit=DISCORD_MESSAGE_LIMIT] - Maximum characters per message
+ * @returns {string[]}
+ */
+export function splitMessage(text, limit = DISCORD_MESSAGE_LIMIT) {
+  const trimmed = text.trim();
+  if (trimmed.length <= limit) {
+    return trimmed ? [trimmed] : [];
+  }
+
+  const messages = [];
+  let current = '';
+  /** @type {string|null} Opening fence line of the code block we are inside */
+  let openFence = null;
+
+  const flush = () => {
+    const text = current.trim();
+    const lines = text.split('\n');
+
+    if (openFence && lines[lines.length - 1].trim() === openFence) {
+      // The code block has no code in this message yet; it starts in the next
+      const before = lines.slice(0, -1).join('\n').trim();
+      if (before) {
+        messages.push(before);
+      }
+    } else if (text) {
+      messages.push(openFence ? `${text}\n\`\`\`` : text);
+    }
+    current = openFence || '';
+  };
+
+  for (const line of trimmed.split('\n')) {
+    const isFence = line.trim().startsWith('```');
+    const closesFence = isFence && openFence !== null;
+    // Reserve room for a closing fence in case we have to split here; a
+    // closing fence line is that fence itself
+    const reserved = openFence && !closesFence ? 4 : 0;
+    const addition = current ? `\n${line}` : line;
+
+    if (current.length + addition.length + reserved > limit) {
+      flush();
+      if (closesFence) {
+        // The flush closed the block already; re-opening it only to close it
+        // again would send an empty code block
+        current = '';
+        openFence = null;
+        continue;
+      }
+    }
+
+    // A single line longer than the limit is hard-wrapped
+    let remaining = current ? `\n${line}` : line;
+    while (current.length + remaining.length + reserved > limit) {
+      const room = limit - current.length - reserved;
+      current += remaining.slice(0, room);
+      remaining = remaining.slice(room);
+      flush();
+      // Continue after the re-opened fence line, not on it
+      if (current && !remaining.startsWith('\n')) {
+        remaining = `\n${remaining}`;
+      }
+    }
+    current += remaining;
+
+    if (isFence) {
+      openFence = openFence ? null : line.trim();
+    }
+  }
+
+  if (current.trim() && current.trim() !== openFence) {
+    // Close any fence left open by the original text
+    if (openFence) {
+      current += '\n```';
+    }
+    messages.push(current.trim());
+  }
+
+  return messages;
+}
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Offline test script for the Discord gateway and bot
+ * Runs the bot against MockGateway and the gateway against a fake
+ * discord.js client, so neither a bot token nor a network connection is needed.
+ * Usage: node test-gateway.js
+ */
+
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import { DiscordBot } from './bot.js';
+import { DiscordGateway, ASK_COMMAND } from './gateway.js';
+import { MockGateway } from './mock-gateway.js';
+import { DISCORD_MESSAGE_LIMIT } from './split-message.js';
+
+const BOT_USER = { id: '42', tag: 'apos-bot#0001' };
+
+/**
+ * Query handler answering every question with a canned answer
+ * @param {string} answer
+ */
+function createQueryHandler(answer) {
+  const calls = [];
+  return {
+    calls,
+    getModelName: () => 'test-model',
+    processQuery: async (query, options) => {
+      calls.push({ query, ...options });
+      return { answer, metadata: { model: 'test-model' } };
+    }
+  };
+}
+
+/**
+ * Fake discord.js client: an EventEmitter with the members the gateway uses
+ */
+function createFakeClient() {
+  const client = new EventEmitter();
+  client.user = BOT_USER;
+  client.login = async () => {};
+  client.destroy = async () => {};
+  return client;
+}
+
+/**
+ * Wait for the gateway's next question
+ * @param {DiscordGateway} gateway
+ * @returns {Promise<import('./gateway.js').DiscordQuestion>}
+ */
+function nextQuestion(gateway) {
+  return new Promise(resolve => gateway.once('question', resolve));
+}
+
+const tests = {
+  'bot answers and splits long answers': async () => {
+    const gateway = new MockGateway();
+    const queryHandler = createQueryHandler(`Intro\n\n${'word '.repeat(600)}`);
+    const logged = [];
+    const bot = new DiscordBot({
+      gateway,
+      queryHandler,
+      logToMongo: async (...args) => logged.push(args)
+    });
+    await bot.start();
+
+    const transcript = await gateway.ask('How do I add a widget?', { threadId: 'thread-9' });
+
+    assert.ok(gateway.started);
+    assert.ok(transcript.acknowledged);
+    assert.ok(transcript.replies.length > 1);
+    assert.ok(transcript.replies.every(reply => reply.length <= DISCORD_MESSAGE_LIMIT));
+    assert.strictEqual(queryHandler.calls[0].sessionId, 'discord-thread-thread-9');
+    assert.strictEqual(queryHandler.calls[0].source, 'discord');
+    assert.strictEqual(logged.length, 1);
+  },
+
+  'bot reports handler errors to the user': async () => {
+    const gateway = new MockGateway();
+    const bot = new DiscordBot({
+      gateway,
+      queryHandler: {
+        getModelName: () => 'test-model',
+        processQuery: async () => {
+          throw new Error('model unavailable');
+        }
+      }
+    });
+
+    const transcript = await gateway.ask('Anything');
+
+    assert.deepStrictEqual(transcript.replies, ['An error occurred while processing your question.']);
+    await bot.stop();
+  },
+
+  'gateway turns /ask into a question': async () => {
+    const gateway = new DiscordGateway({ token: 'test', client: createFakeClient() });
+    const sent = [];
+    const interaction = {
+      isChatInputCommand: () => true,
+      commandName: ASK_COMMAND,
+      options: { getString: () => 'What is a piece?' },
+      user: { id: 'user-1' },
+      channelId: 'channel-1',
+      channel: { isThread: () => false },
+      deferReply: async () => sent.push('deferred'),
+      editReply: async (text) => sent.push(`edit:${text}`),
+      followUp: async (text) => sent.push(`follow:${text}`)
+    };
+
+    const received = nextQuestion(gateway);
+    gateway.client.emit('interactionCreate', interaction);
+    const question = await received;
+
+    assert.strictEqual(question.kind, 'command');
+    assert.strictEqual(question.content, 'What is a piece?');
+    assert.strictEqual(question.threadId, null);
+
+    await question.acknowledge();
+    await question.reply('first');
+    await question.reply('second');
+    assert.deepStrictEqual(sent, ['deferred', 'edit:first', 'follow:second']);
+  },
+
+  'gateway starts a thread for mentions': async () => {
+    const gateway = new DiscordGateway({ token: 'test', client: createFakeClient() });
+    const thread = {
+      id: 'thread-1',
+      isThread: () => true,
+      sent: [],
+      sendTyping: async () => {},
+      send: async (text) => thread.sent.push(text)
+    };
+    const message = {
+      author: { id: 'user-2', bot: false },
+      content: `<@${BOT_USER.id}> How do I configure a module?`,
+      mentions: { has: (user) => user.id === BOT_USER.id },
+      channel: { isThread: () => false },
+      channelId: 'channel-2',
+      inGuild: () => true,
+      startThread: async () => thread
+    };
+
+    const received = nextQuestion(gateway);
+    gateway.client.emit('messageCreate', message);
+    const question = await received;
+
+    assert.strictEqual(question.kind, 'mention');
+    assert.strictEqual(question.content, 'How do I configure a module?');
+    assert.strictEqual(question.threadId, 'thread-1');
+
+    await question.reply('answer');
+    assert.deepStrictEqual(thread.sent, ['answer']);
+  },
+
+  'gateway ignores bots and messages without a mention': async () => {
+    const gateway = new DiscordGateway({ token: 'test', client: createFakeClient() });
+    let emitted = false;
+    gateway.on('question', () => {
+      emitted = true;
+    });
+
+    await gateway.handleMessage({
+      author: { id: 'bot-2', bot: true },
+      content: `<@${BOT_USER.id}> hello`,
+      mentions: { has: () => true }
+    });
+    await gateway.handleMessage({
+      author: { id: 'user-3', bot: false },
+      content: 'hello',
+      mentions: { has: () => false }
+    });
+
+    assert.strictEqual(emitted, false);
+  }
+};
+
+let failed = 0;
+for (const [name, test] of Object.entries(tests)) {
+  try {
+    await test();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}:`, error.message);
+  }
+}
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Declarative ingestion source configuration
+ * Sources are listed in a YAML or JSON file (`sources.yaml` by default).
+ * String values may reference environment variables as `${NAME}` or
+ * `${NAME:-default}`, and relative file paths resolve against the config file.
+ */
+
+import { readFile } from 'fs/promises';
+import { dirname, isAbsolute, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { CONSTANTS } from '@apos-chatbot/shared';
+import { CHUNKING_STRATEGIES } from '../processors/chunk-processor.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/** Source types and the fields each one requires */
+export const SOURCE_TYPES = {
+  sitemap: ['baseUrl'],
+  'llms-full': ['baseUrl', 'framework', 'version'],
+  openapi: ['spec'],
+  markdown: ['dir', 'baseUrl']
+};
+
+/** Fields holding local paths, resolved relative to the config file */
+const PATH_FIELDS = ['file', 'spec', 'dir', 'srcDir'];
+
+/**
+ * An ingestion source
+ * @typedef {Object} SourceConfig
+ * @property {string} name - Unique source name, used by `--source` and `--include-<name>`
+ * @property {'sitemap' | 'llms-full' | 'openapi' | 'markdown'} type - How pages are loaded
+ * @property {boolean} enabled - Ingested by default; disabled sources need `--source` or `--include-<name>`
+ * @property {string} [framework] - Framework for every page, instead of detecting it from URL and content; required for llms-full
+ * @property {string} [version] - Version for every page, instead of detecting it from the URL; required for llms-full
+ * @property {string} [docType] - Doc type for every page, instead of detecting it from the URL
+ * @property {import('@apos-chatbot/shared').ChunkConfig} chunking - Chunking options
+ * @property {string} [baseUrl] - sitemap: site to scrape; llms-full, markdown: public docs URL;
+ *   openapi: public URL pages link to, required for local spec files
+ * @property {string} [sitemapUrl] - sitemap: sitemap location
+ * @property {number} [maxDepth] - sitemap: maximum link depth
+ * @property {number} [maxPages] - sitemap: maximum pages to scrape
+ * @property {string[]} [allowedDomains] - sitemap: domains allowed for scraping
+ * @property {string[]} [excludePatterns] - sitemap: URL patterns to skip; markdown: file path patterns to skip
+ * @property {number} [delayMs] - sitemap: delay between requests to one host
+ * @property {boolean} [respectRobotsTxt] - sitemap: obey robots.txt rules and crawl-delay
+ * @property {number} [concurrency] - sitemap: pages scraped at once
+ * @property {number} [retries] - sitemap: retries for timeouts, network errors and 5xx responses
+ * @property {boolean} [renderJs] - sitemap: render every page with Playwright instead of trying static HTML first
+ * @property {string} [url] - llms-full: URL of the llms-full.txt file
+ * @property {string} [file] - llms-full: local llms-full.txt file, read instead of `url`
+ * @property {number} [maxSectionSize] - llms-full: sections longer than this are split on sub-headings
+ * @property {string} [spec] - openapi: spec file path or URL
+ * @property {number} [maxSchemaDepth] - openapi: levels of nested schemas rendered inline
+ * @property {string} [dir] - markdown: directory of `.md` files
+ * @property {string} [srcDir] - markdown: VitePress source root for `<<< @/` includes, defaults to `dir`
+ * @property {boolean} [cleanUrls] - markdown: map files to URLs without `.html`
+ */
+
+/**
+ * Parsed ingestion configuration
+ * @typedef {Object} IngestionConfig
+ * @property {string} path - Config file the sources were read from
+ * @property {SourceConfig[]} sources - Sources in file order
+ */
+
+/**
+ * Get the config file path from the environment or the default location
+ * @returns {string}
+ */
+export function getDefaultConfigPath() {
+  return process.env.INGESTION_CONFIG || resolve(__dirname, '../../sources.yaml');
+}
+
+/**
+ * Load and validate an ingestion config file
+ * @param {string} [configPath] - YAML or JSON file, defaults to `getDefaultConfigPath()`
+ * @returns {Promise<IngestionConfig>}
+ * @throws {Error} If the file is missing or invalid
+ */
+export async function loadSourcesConfig(configPath = getDefaultConfigPath()) {
+  const path = resolve(configPath);
+  const raw = yaml.load(await readFile(path, 'utf-8'));
+
+  if (!raw || !Array.isArray(raw.sources)) {
+    throw new Error(`${path}: expected a "sources" list`);
+  }
+
+  const defaults = interpolateEnv(raw.defaults || {});
+  const baseDir = dirname(path);
+  const names = new Set();
+
+  const sources = raw.sources.map((entry, index) => {
+    const source = normalizeSource(interpolateEnv(entry), defaults, baseDir);
+    const label = source.name || `#${index + 1}`;
+
+    validateSource(source, label);
+    if (names.has(source.name)) {
+      throw new Error(`${path}: duplicate source name "${source.name}"`);
+    }
+    names.add(source.name);
+
+    return source;
+  });
+
+  return { path, sources };
+}
+
+/**
+ * Pick the sources to ingest
+ * With `names`, exactly those sources run (enabled or not). Otherwise all
+ * enabled sources run, plus any listed in `include`.
+ * @param {SourceConfig[]} sources
+ * @param {Object} [options]
+ * @param {string[]} [options.names] - Sources requested with `--source`
+ * @param {string[]} [options.include] - Sources requested with `--include-<name>`
+ * @returns {SourceConfig[]}
+ * @throws {Error} If a requested source does not exist
+ */
+export function selectSources(sources, { names = [], include = [] } = {}) {
+  const known = new Set(sources.map(source => source.name));
+  const unknown = [...names, ...include].filter(name => !known.has(name));
+
+  if (unknown.length > 0) {
+    throw new Error(`Unknown source(s): ${unknown.join(', ')}. Available: ${[...known].join(', ')}`);
+  }
+
+  if (names.length > 0) {
+    return sources.filter(source => names.includes(source.name));
+  }
+
+  return sources.filter(source => source.enabled || include.includes(source.name));
+}
+
+/**
+ * Apply defaults and resolve local paths
+ * @param {Object} entry - Raw source entry
+ * @param {Object} defaults - Raw `defaults` section
+ * @param {string} baseDir - Directory of the config file
+ * @returns {SourceConfig}
+ */
+function normalizeSource(entry, defaults, baseDir) {
+  const source = {
+    enabled: true,
+    ...entry,
+    chunking: {
+      maxChunkSize: CONSTANTS.CHUNKING.MAX_CHUNK_SIZE,
+      overlap: CONSTANTS.CHUNKING.OVERLAP,
+      ...defaults.chunking,
+      ...entry.chunking
+    }
+  };
+
+  for (const field of PATH_FIELDS) {
+    const value = source[field];
+    if (value && !/^https?:\/\//.test(value) && !isAbsolute(value)) {
+      source[field] = resolve(baseDir, value);
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Check a source has a known type and the fields that type needs
+ * @param {SourceConfig} source
+ * @param {string} label - Name used in error messages
+ * @throws {Error} If the source is invalid
+ */
+function validateSource(source, label) {
+  if (!source.name) {
+    throw new Error(`Source ${label}: "name" is required`);
+  }
+
+  const required = SOURCE_TYPES[source.type];
+  if (!required) {
+    throw new Error(`Source ${label}: unknown type "${source.type}". Expected one of: ${Object.keys(SOURCE_TYPES).join(', ')}`);
+  }
+
+  for (const field of required) {
+    if (!source[field]) {
+      throw new Error(`Source ${label}: "${field}" is required for ${source.type} sources`);
+    }
+  }
+
+  if (source.type === 'llms-full' && !source.url && !source.file) {
+    throw new Error(`Source ${label}: llms-full sources need a "url" or "file"`);
+  }
+
+  // Page URLs become sources shown to users and seed the chunk IDs, so
+  // they must not depend on where the spec was checked out
+  if (source.type === 'openapi' && !source.baseUrl && !/^https?:\/\//.test(source.spec)) {
+    throw new Error(`Source ${label}: openapi sources with a local spec need a "baseUrl" for their page URLs`);
+  }
+
+  const { strategy } = source.chunking;
+  if (strategy !== undefined && !CHUNKING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Source ${label}: unknown chunking strategy "${strategy}". Expected one of: ${CHUNKING_STRATEGIES.join(', ')}`);
+  }
+}
+
+/**
+ * Replace `${NAME}` and `${NAME:-default}` in every string value
+ * Unset variables without a default become empty strings, and a value that
+ * ends up empty is dropped so the field falls back to its default.
+ * @param {*} value
+ * @returns {*}
+ */
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g,
+      (_, name, fallback) => process.env[name] || fallback || '');
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv);
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const interpolated = interpolateEnv(item);
+      if (interpolated !== '') {
+        result[key] = interpolated;
+      }
+    }
+    return result;
+  }
+
+  return value;
+}
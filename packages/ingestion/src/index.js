@@ -1,15 +1,49 @@
 /**
- * @fileoverview Main ingestion pipeline with OpenAPI support
+ * @fileoverview Ingestion command line
+ *
+ * Usage: node src/index.js [command] [options]
+ *
+ * Commands:
+ *   ingest (default)   Ingest enabled sources from the sources config
+ *   list-sources       List configured sources
+ *   stats              Show document counts in Weaviate
+ *   migrate            Apply pending Weaviate schema migrations
+ *   versions           List index versions and the one the AposDocs alias points to
+ *   promote <class>    Point the alias at an index version, e.g. to roll back
+ *   drop <class>       Delete an index version that is not active
+ *
+ * Options:
+ *   --config <path>    Sources config file (default: sources.yaml, or INGESTION_CONFIG)
+ *   --source <name>    Ingest only this source; repeatable
+ *   --include-<name>   Also ingest a disabled source, e.g. --include-astro
+ *   --clear            Delete all documents before ingesting
+ *   --new-version      Build into a new index version and promote it once verified
+ *   --no-promote       With --new-version, verify but leave the alias as it is
+ *   --keep <n>         Older index versions kept after promoting (default: 2)
+ *   --force            promote: skip the document-count, source and smoke-query checks
+ *   --cache-dir <path> Scrape cache directory (default: .cache/scrape, or SCRAPE_CACHE_DIR)
+ *   --no-cache         Scrape without reading or writing the cache
+ *   --from-cache       Scrape only from the cache, without network access
+ *   --dry-run          migrate: list pending migrations without applying them
  */
 
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { requireEnv, createLogger } from '@apos-chatbot/shared';
+import { parseArgs } from 'util';
+import { requireEnv, createLogger, checkSchema, migrateSchema } from '@apos-chatbot/shared';
 import { weaviateClient } from './weaviate/client.js';
-import { scrapeDocumentation } from './scrapers/playwright-scraper.js';
-import { processScrapedPages } from './processors/chunk-processor.js';
-import { processOpenAPISpec } from './processors/openapi-processor.js';
+import { loadSourcesConfig, selectSources } from './config/sources.js';
+import { ingestSource } from './pipeline.js';
+import {
+  createIndexVersion,
+  dropIndexVersion,
+  getActiveSourceNames,
+  listIndexVersions,
+  promoteIndexVersion,
+  pruneIndexVersions,
+  verifyIndexVersion
+} from './weaviate/index-versions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -18,116 +52,390 @@ dotenv.config({ path: join(__dirname, '../../../.env') });
 
 const logger = createLogger('Ingestion');
 
+/** Scrape cache location unless configured otherwise */
+const DEFAULT_CACHE_DIR = join(__dirname, '../.cache/scrape');
+
 /**
- * Main ingestion pipeline
+ * Parse command line arguments
+ * `--include-<name>` flags are collected from the unknown options.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, target?: string, config?: string, sources: string[], include: string[], clear: boolean, cacheDir?: string, fromCache: boolean, dryRun: boolean, newVersion: boolean, promote: boolean, keep?: number, force: boolean}}
  */
-async function main() {
-  try {
-    logger.info('Starting ingestion pipeline');
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    // `pnpm ingest -- --clear` passes the separator through
+    args: argv.filter(arg => arg !== '--'),
+    options: {
+      config: { type: 'string' },
+      source: { type: 'string', multiple: true },
+      clear: { type: 'boolean', default: false },
+      'cache-dir': { type: 'string' },
+      'no-cache': { type: 'boolean', default: false },
+      'from-cache': { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      'new-version': { type: 'boolean', default: false },
+      'no-promote': { type: 'boolean', default: false },
+      keep: { type: 'string' },
+      force: { type: 'boolean', default: false }
+    },
+    allowPositionals: true,
+    strict: false
+  });
 
-    // Initialize Weaviate
-    const weaviateUrl = requireEnv('WEAVIATE_URL');
-    const weaviateApiKey = process.env.WEAVIATE_API_KEY;
+  const include = Object.keys(values)
+    .filter(key => key.startsWith('include-'))
+    .map(key => key.slice('include-'.length));
+
+  return {
+    command: positionals[0] || 'ingest',
+    target: positionals[1],
+    config: /** @type {string|undefined} */ (values.config),
+    sources: /** @type {string[]} */ (values.source || []),
+    include,
+    clear: Boolean(values.clear),
+    cacheDir: values['no-cache']
+      ? undefined
+      : /** @type {string|undefined} */ (values['cache-dir']) || process.env.SCRAPE_CACHE_DIR || DEFAULT_CACHE_DIR,
+    fromCache: Boolean(values['from-cache']),
+    dryRun: Boolean(values['dry-run']),
+    newVersion: Boolean(values['new-version']),
+    promote: !values['no-promote'],
+    keep: values.keep === undefined ? undefined : parseCount(/** @type {string} */ (values.keep), '--keep'),
+    force: Boolean(values.force)
+  };
+}
 
-    await weaviateClient.initialize(weaviateUrl, weaviateApiKey);
+/**
+ * Parse a non-negative integer option
+ * @param {string} value
+ * @param {string} name - Option name for the error message
+ * @returns {number}
+ */
+function parseCount(value, name) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`${name} must be a non-negative integer, got ${value}`);
+  }
+  return count;
+}
+
+/**
+ * Connect to Weaviate using the environment configuration
+ * @param {Object} [options] - Passed to `weaviateClient.initialize`
+ * @param {boolean} [options.checkSchema]
+ * @returns {Promise<void>}
+ */
+async function connectWeaviate(options) {
+  const weaviateUrl = requireEnv('WEAVIATE_URL');
+  const weaviateApiKey = process.env.WEAVIATE_API_KEY;
+
+  await weaviateClient.initialize(weaviateUrl, weaviateApiKey, options);
+}
+
+/**
+ * Ingest the selected sources
+ * @param {ReturnType<typeof parseCommandLine>} args
+ * @returns {Promise<void>}
+ */
+async function ingest(args) {
+  const { sources } = await loadSourcesConfig(args.config);
+  let selected = selectSources(sources, { names: args.sources, include: args.include });
+
+  if (selected.length === 0) {
+    logger.warn('No sources selected');
+    return;
+  }
+
+  if (args.fromCache && !args.cacheDir) {
+    throw new Error('--from-cache cannot be combined with --no-cache');
+  }
+  if (args.newVersion && args.clear) {
+    throw new Error('--new-version builds into an empty class; --clear is not needed');
+  }
+
+  await connectWeaviate();
+
+  if (args.newVersion) {
+    selected = await withActiveSources(sources, selected);
+  }
+
+  logger.info(`Starting ingestion of ${selected.map(source => source.name).join(', ')}`);
+  if (args.fromCache) {
+    logger.info(`Scraping offline from ${args.cacheDir}`);
+  }
+
+  // Check current document count
+  const currentCount = await weaviateClient.getCount();
+  logger.info(`Current document count: ${currentCount}`);
+
+  // Optionally clear existing data
+  if (args.clear) {
+    logger.warn('Clearing existing documents');
+    await weaviateClient.deleteAll();
+  }
 
-    // Check current document count
-    const currentCount = await weaviateClient.getCount();
-    logger.info(`Current document count: ${currentCount}`);
+  // The server keeps answering from the active version while the new one is built
+  const version = args.newVersion ? await createIndexVersion() : null;
 
-    // Optionally clear existing data
-    const shouldClear = process.argv.includes('--clear');
-    if (shouldClear) {
-      logger.warn('Clearing existing documents');
-      await weaviateClient.deleteAll();
+  const failed = [];
+  const summaries = [];
+  for (const source of selected) {
+    try {
+      const summary = await ingestSource(source, { cacheDir: args.cacheDir, fromCache: args.fromCache });
+      summaries.push({ name: source.name, ...summary });
+    } catch (error) {
+      logger.error(`Failed to ingest source ${source.name}`, error);
+      logger.warn('Continuing with other sources...');
+      failed.push(source.name);
     }
+  }
+
+  printSummary(summaries);
+
+  // Final statistics
+  const finalCount = await weaviateClient.getCount();
+  logger.info(`Ingestion complete. Total documents: ${finalCount} (was ${currentCount})`);
+
+  if (failed.length > 0) {
+    const note = version ? `; ${version} was not promoted` : '';
+    throw new Error(`Sources failed: ${failed.join(', ')}${note}`);
+  }
+
+  if (version) {
+    await finishIndexVersion(version, args);
+  }
+}
+
+/**
+ * Add the sources of the active index version to those selected
+ * A new version replaces the active one, so it needs every source the active
+ * version holds, including those once ingested with `--source` or
+ * `--include-<name>`.
+ * @param {import('./config/sources.js').SourceConfig[]} sources - Configured sources
+ * @param {import('./config/sources.js').SourceConfig[]} selected
+ * @returns {Promise<import('./config/sources.js').SourceConfig[]>}
+ */
+async function withActiveSources(sources, selected) {
+  const active = await getActiveSourceNames();
+  const selectedNames = new Set(selected.map(source => source.name));
+  const added = sources.filter(source => active.includes(source.name) && !selectedNames.has(source.name));
+
+  if (added.length > 0) {
+    logger.info(`Also ingesting ${added.map(source => source.name).join(', ')}, which the active version holds`);
+  }
+
+  const unconfigured = active.filter(name => !sources.some(source => source.name === name));
+  if (unconfigured.length > 0) {
+    logger.warn(`The active version holds sources that are no longer configured: ${unconfigured.join(', ')}. ` +
+      'The new version will fail verification; if they were removed on purpose, promote it with `promote <class> --force`');
+  }
+
+  return [...selected, ...added];
+}
+
+/**
+ * Verify a newly built index version, then promote it and prune old versions
+ * @param {string} className
+ * @param {ReturnType<typeof parseCommandLine>} args
+ * @returns {Promise<void>}
+ * @throws {Error} If verification fails; the version is kept for inspection
+ */
+async function finishIndexVersion(className, args) {
+  const problems = await verifyIndexVersion(className);
+  if (problems.length > 0) {
+    throw new Error(`${className} failed verification and was not promoted: ${problems.join('; ')}`);
+  }
+
+  if (!args.promote) {
+    logger.info(`${className} passed verification; promote it with \`pnpm ingest -- promote ${className}\``);
+    return;
+  }
+
+  await promoteIndexVersion(className);
+
+  const dropped = await pruneIndexVersions(args.keep);
+  if (dropped.length > 0) {
+    logger.info(`Dropped old index versions: ${dropped.join(', ')}`);
+  }
+}
+
+/**
+ * Print added, updated, unchanged and deleted page counts per source
+ * @param {Array<{name: string} & import('./pipeline.js').IngestSummary>} summaries
+ */
+function printSummary(summaries) {
+  const columns = ['added', 'updated', 'unchanged', 'deleted', 'failed', 'chunks'];
+
+  console.log(`\n${'source'.padEnd(16)} ${columns.map(column => column.padStart(9)).join(' ')}`);
+  for (const summary of summaries) {
+    console.log(`${summary.name.padEnd(16)} ${columns.map(column => String(summary[column]).padStart(9)).join(' ')}`);
+  }
+  console.log('');
+}
+
+/**
+ * Print the configured sources
+ * @param {ReturnType<typeof parseCommandLine>} args
+ * @returns {Promise<void>}
+ */
+async function listSources(args) {
+  const { path, sources } = await loadSourcesConfig(args.config);
+
+  console.log(`Sources in ${path}:\n`);
+  for (const source of sources) {
+    const location = source.baseUrl && source.type === 'sitemap'
+      ? source.baseUrl
+      : source.file || source.url || source.spec || source.dir;
+    const details = [
+      source.framework && `framework=${source.framework}`,
+      source.version && `version=${source.version}`,
+      source.docType && `docType=${source.docType}`
+    ].filter(Boolean).join(' ');
 
-    // Parse CLI flags
-    const includeAstro = process.argv.includes('--include-astro');
-    const includeOpenAPI = process.argv.includes('--include-openapi');
-    const openAPIPath = process.env.OPENAPI_SPEC_PATH || './openapi.json';
-
-    // Scrape ApostropheCMS docs
-    logger.info('Scraping ApostropheCMS documentation');
-    const aposPages = await scrapeDocumentation({
-      baseUrl: requireEnv('DOCS_BASE_URL', 'https://docs.apostrophecms.org'),
-      sitemapUrl: 'https://docs.apostrophecms.org/sitemap.xml',
-      maxDepth: 3,
-      maxPages: 500,
-      allowedDomains: [
-        'apostrophecms.com/docs',
-        'docs.apostrophecms.org'
-      ],
-      excludePatterns: [
-        '/search',
-        '/api-examples',
-        '/markdown-examples',
-        '/404'
-      ],
-      delayMs: 100
-    });
-
-    logger.info(`Scraped ${aposPages.length} ApostropheCMS pages`);
-
-    // Process and chunk pages
-    const aposDocuments = processScrapedPages(aposPages, {
-      maxChunkSize: 1000,
-      overlap: 200
-    });
-
-    // Import to Weaviate
-    logger.info('Importing documents to Weaviate');
-    if (aposDocuments.length > 0) {
-      await weaviateClient.batchImport(aposDocuments);
-    } else {
-      logger.warn('No ApostropheCMS documents to import');
+    console.log(`${source.enabled ? '✓' : ' '} ${source.name.padEnd(16)} ${source.type.padEnd(10)} ${location}`);
+    if (details) {
+      console.log(`  ${''.padEnd(16)} ${details}`);
     }
-    // Optional: Process Astro docs from llms-full.txt
-    if (includeAstro) {
-      const astroDocsUrl = process.env.ASTRO_DOCS_URL || 'https://docs.astro.build/llms-full.txt';
-      logger.info('Fetching Astro documentation from llms-full.txt');
-      
-      // Import the llms-full processor
-      const { processLlmsFullTxt } = await import('./processors/llms-full-processor.js');
-      
-      const astroPages = await processLlmsFullTxt(astroDocsUrl);
-      logger.info(`Processed ${astroPages.length} Astro sections`);
-
-      const astroDocuments = processScrapedPages(astroPages, {
-        maxChunkSize: 1000,
-        overlap: 200
-      });
-
-      await weaviateClient.batchImport(astroDocuments);
+  }
+  console.log('\n✓ = enabled by default');
+}
+
+/**
+ * Print document counts from Weaviate
+ * @returns {Promise<void>}
+ */
+async function stats() {
+  await connectWeaviate();
+  const { total, groups } = await weaviateClient.getStats();
+
+  console.log(`Total documents: ${total}`);
+  for (const [field, counts] of Object.entries(groups)) {
+    console.log(`\nBy ${field}:`);
+    for (const [value, count] of Object.entries(counts).sort((a, b) => b[1] - a[1])) {
+      console.log(`  ${String(value).padEnd(20)} ${count}`);
     }
+  }
+}
+
+/**
+ * Apply pending schema migrations, or list them with --dry-run
+ * @param {ReturnType<typeof parseCommandLine>} args
+ * @returns {Promise<void>}
+ */
+async function migrate(args) {
+  await connectWeaviate({ checkSchema: false });
+  const client = weaviateClient.getClient();
+
+  const status = await checkSchema(client, weaviateClient.className);
+  const current = status.exists ? `version ${status.version}` : 'missing';
+  console.log(`Schema of ${status.className}: ${current}, expected version ${status.expected}`);
+
+  for (const migration of status.pending) {
+    console.log(`  pending ${String(migration.version).padStart(3)}  ${migration.description}`);
+  }
+
+  if (args.dryRun || status.pending.length === 0) {
+    reportSchemaProblems(status.pending.length === 0 ? status.problems : []);
+    return;
+  }
+
+  const { applied } = await migrateSchema(client, weaviateClient.className);
+  console.log(`Applied ${applied.length} migrations`);
+
+  reportSchemaProblems((await checkSchema(client, weaviateClient.className)).problems);
+}
+
+/**
+ * Fail on schema problems that no migration fixes, such as a class changed by hand
+ * @param {string[]} problems
+ */
+function reportSchemaProblems(problems) {
+  if (problems.length > 0) {
+    throw new Error(`Schema is still not compatible: ${problems.join('; ')}. Add a migration for the change.`);
+  }
+}
+
+/**
+ * Print index versions
+ * @returns {Promise<void>}
+ */
+async function versions() {
+  await connectWeaviate({ checkSchema: false });
+  const list = await listIndexVersions();
+
+  if (list.length === 0) {
+    console.log('No index versions');
+    return;
+  }
+
+  for (const version of list) {
+    const label = version.legacy ? ' (unversioned)' : '';
+    console.log(`${version.active ? '*' : ' '} ${version.className.padEnd(24)} ${String(version.count).padStart(8)} documents${label}`);
+  }
+  console.log('\n* = active, read by the server');
+}
+
+/**
+ * Point the alias at an index version
+ * @param {ReturnType<typeof parseCommandLine>} args
+ * @returns {Promise<void>}
+ */
+async function promote(args) {
+  if (!args.target) {
+    throw new Error('Usage: promote <class>');
+  }
+  await connectWeaviate({ checkSchema: false });
 
-    // Optional: Process OpenAPI spec
-    if (includeOpenAPI) {
-      logger.info(`Processing OpenAPI spec from: ${openAPIPath}`);
-      
-      try {
-        const openApiPages = await processOpenAPISpec(openAPIPath);
-        logger.info(`Processed ${openApiPages.length} OpenAPI pages`);
-
-        const openApiDocuments = processScrapedPages(openApiPages, {
-          maxChunkSize: 1000,
-          overlap: 200
-        });
-
-        await weaviateClient.batchImport(openApiDocuments);
-      } catch (error) {
-        logger.error('Failed to process OpenAPI spec', error);
-        logger.warn('Continuing with other sources...');
-      }
+  if (!args.force) {
+    const problems = await verifyIndexVersion(args.target);
+    if (problems.length > 0) {
+      throw new Error(`${args.target} failed verification: ${problems.join('; ')}. Use --force to promote anyway.`);
     }
+  }
+
+  await promoteIndexVersion(args.target);
+}
+
+/**
+ * Delete an index version
+ * @param {ReturnType<typeof parseCommandLine>} args
+ * @returns {Promise<void>}
+ */
+async function drop(args) {
+  if (!args.target) {
+    throw new Error('Usage: drop <class>');
+  }
+  await connectWeaviate({ checkSchema: false });
+  await dropIndexVersion(args.target);
+}
+
+/** CLI commands by name */
+const COMMANDS = {
+  ingest,
+  'list-sources': listSources,
+  stats,
+  migrate,
+  versions,
+  promote,
+  drop
+};
 
-    // Final statistics
-    const finalCount = await weaviateClient.getCount();
-    logger.info(`Ingestion complete. Total documents: ${finalCount}`);
-    logger.info(`New documents added: ${finalCount - currentCount}`);
+/**
+ * Run the command given on the command line
+ * @param {string[]} [argv] - Arguments after the script name
+ */
+async function main(argv = process.argv.slice(2)) {
+  try {
+    const args = parseCommandLine(argv);
+    const command = COMMANDS[args.command];
+
+    if (!command) {
+      throw new Error(`Unknown command: ${args.command}. Available: ${Object.keys(COMMANDS).join(', ')}`);
+    }
 
+    await command(args);
   } catch (error) {
-    logger.error('Ingestion pipeline failed', error);
+    logger.error('Ingestion command failed', error);
     process.exit(1);
   }
 }
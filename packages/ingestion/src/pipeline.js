@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Ingestion pipeline for configured sources
+ * Loads pages with the processor matching each source type, chunks them and
+ * imports the chunks into Weaviate.
+ *
+ * Ingestion is incremental: chunk IDs are derived from source, URL and chunk
+ * index and every chunk stores a hash of its page, so unchanged pages are
+ * skipped, changed pages have their chunks replaced and pages a source no
+ * longer produces are deleted. Pages that failed to load are kept, and loads
+ * that may lack pages, such as replays from the scrape cache or crawls whose
+ * sitemap could not be read, delete nothing.
+ */
+
+import { createHash } from 'crypto';
+import { generateUuid5 } from 'weaviate-ts-client';
+import { createLogger } from '@apos-chatbot/shared';
+import { weaviateClient } from './weaviate/client.js';
+import { PlaywrightScraper } from './scrapers/playwright-scraper.js';
+import { processScrapedPages } from './processors/chunk-processor.js';
+import { processOpenAPISpec } from './processors/openapi-processor.js';
+import { loadLLMsFullSource } from './processors/llms-full-processor.js';
+import { processMarkdownDirectory } from './processors/markdown-dir-processor.js';
+
+const logger = createLogger('Pipeline');
+
+/**
+ * Options for loading sources
+ * @typedef {Object} LoadOptions
+ * @property {string} [cacheDir] - Scrape cache directory; no caching if unset
+ * @property {boolean} [fromCache] - Scrape only from the cache, without network
+ */
+
+/**
+ * Pages loaded from a source
+ * @typedef {Object} LoadResult
+ * @property {import('@apos-chatbot/shared').ScrapedPage[]} pages
+ * @property {Array<{url: string, error: string}>} failures - Pages that could not be loaded
+ * @property {boolean} complete - Whether a page missing from `pages` is gone from the source
+ */
+
+/**
+ * Page loaders by source type
+ * @type {Record<string, (source: import('./config/sources.js').SourceConfig, options: LoadOptions) => Promise<LoadResult>>}
+ */
+const LOADERS = {
+  sitemap: async (source, options) => {
+    const scraper = new PlaywrightScraper({
+      baseUrl: source.baseUrl,
+      sitemapUrl: source.sitemapUrl,
+      maxDepth: source.maxDepth,
+      maxPages: source.maxPages,
+      allowedDomains: source.allowedDomains,
+      excludePatterns: source.excludePatterns,
+      delayMs: source.delayMs,
+      respectRobotsTxt: source.respectRobotsTxt,
+      concurrency: source.concurrency,
+      retries: source.retries,
+      renderJs: source.renderJs,
+      cacheDir: options.cacheDir,
+      fromCache: options.fromCache
+    });
+    const pages = await scraper.scrape();
+    // The cache only holds pages scraped before, so its replays may be partial,
+    // and without its sitemap the crawl only reaches pages linked from baseUrl
+    const complete = !options.fromCache && scraper.sitemapFailures.length === 0;
+    return { pages, failures: scraper.failures, complete };
+  },
+  'llms-full': async (source) => loaded(await loadLLMsFullSource(source)),
+  openapi: async (source) => loaded(await processOpenAPISpec(source.spec, {
+    maxSchemaDepth: source.maxSchemaDepth,
+    baseUrl: source.baseUrl
+  })),
+  markdown: async (source) => loaded(await processMarkdownDirectory({
+    dir: source.dir,
+    baseUrl: source.baseUrl,
+    srcDir: source.srcDir,
+    cleanUrls: source.cleanUrls,
+    excludePatterns: source.excludePatterns
+  }))
+};
+
+/**
+ * Load the pages of a source and apply its declared framework, version and doc type
+ * @param {import('./config/sources.js').SourceConfig} source
+ * @param {LoadOptions} [options]
+ * @returns {Promise<LoadResult>}
+ */
+export async function loadSource(source, options = {}) {
+  const { pages, failures, complete } = await LOADERS[source.type](source, options);
+
+  const declared = Object.fromEntries(
+    ['framework', 'version', 'docType']
+      .filter(field => source[field])
+      .map(field => [field, source[field]])
+  );
+
+  return {
+    pages: pages.map(page => ({
+      ...page,
+      metadata: { ...page.metadata, ...declared, sourceName: source.name }
+    })),
+    failures,
+    complete
+  };
+}
+
+/**
+ * Page counts from ingesting a source
+ * @typedef {Object} IngestSummary
+ * @property {number} added - New pages
+ * @property {number} updated - Pages whose chunks were replaced
+ * @property {number} unchanged - Pages skipped because their hash matched
+ * @property {number} deleted - Pages removed because the source no longer has them
+ * @property {number} failed - Pages that failed to load or import; their indexed chunks are kept
+ * @property {number} chunks - Chunks written
+ */
+
+/**
+ * Load, chunk and import one source, updating only what changed
+ * @param {import('./config/sources.js').SourceConfig} source
+ * @param {LoadOptions} [options]
+ * @returns {Promise<IngestSummary>}
+ */
+export async function ingestSource(source, options = {}) {
+  logger.info(`Ingesting source ${source.name} (${source.type})`);
+
+  const { pages, failures, complete } = await loadSource(source, options);
+  logger.info(`Loaded ${pages.length} pages from ${source.name}`);
+
+  const chunksByUrl = groupByUrl(processScrapedPages(pages, source.chunking));
+  const indexed = await weaviateClient.getIndexedPages(source.name, new Set(chunksByUrl.keys()));
+
+  /** @type {IngestSummary} */
+  const summary = { added: 0, updated: 0, unchanged: 0, deleted: 0, failed: failures.length, chunks: 0 };
+  const toImport = [];
+  const changed = [];
+  const staleIds = [];
+
+  for (const [url, chunks] of chunksByUrl) {
+    const contentHash = hashChunks(chunks);
+    const existing = indexed.get(url);
+
+    const documents = chunks.map((chunk, index) => ({
+      ...chunk,
+      // Sources can produce the same URLs, e.g. a site and its markdown sources
+      id: generateUuid5(`${source.name}\n${url}#${index}`),
+      sourceName: source.name,
+      contentHash,
+      metadata: { ...chunk.metadata, chunkIndex: index, totalChunks: chunks.length }
+    }));
+
+    // A matching hash only counts if no chunk is missing, e.g. after a failed import
+    if (existing && existing.contentHash === contentHash &&
+        documents.every(doc => existing.ids.includes(doc.id))) {
+      summary.unchanged++;
+      continue;
+    }
+
+    toImport.push(...documents);
+    changed.push({ existing, documents });
+  }
+
+  const failedIds = new Set(toImport.length > 0 ? await weaviateClient.batchImport(toImport) : []);
+
+  for (const { existing, documents } of changed) {
+    if (documents.some(doc => failedIds.has(doc.id))) {
+      // Its stale chunks are kept; the chunks that did import carry the new
+      // hash but not all of its IDs, so the next run imports the page again
+      summary.failed++;
+    } else if (existing) {
+      // Chunks past the new end of the page, or with pre-incremental random IDs
+      const newIds = new Set(documents.map(doc => doc.id));
+      staleIds.push(...existing.ids.filter(id => !newIds.has(id)));
+      summary.updated++;
+    } else {
+      summary.added++;
+    }
+  }
+
+  // An empty load is far more likely a failed fetch than a source that emptied out
+  const failedUrls = new Set(failures.map(failure => failure.url));
+  if (!complete) {
+    logger.warn(`Source ${source.name} may be missing pages (scrape cache or unreadable sitemap), keeping indexed pages it lacks`);
+  } else if (chunksByUrl.size > 0) {
+    for (const [url, page] of indexed) {
+      if (!chunksByUrl.has(url) && !failedUrls.has(url)) {
+        staleIds.push(...page.ids);
+        summary.deleted++;
+      }
+    }
+  } else if (indexed.size > 0) {
+    logger.warn(`Source ${source.name} returned no pages, keeping ${indexed.size} indexed pages`);
+  }
+
+  if (staleIds.length > 0) {
+    await weaviateClient.deleteObjects(staleIds);
+  }
+
+  summary.chunks = toImport.length - failedIds.size;
+  return summary;
+}
+
+/**
+ * Result of a loader that always returns every page of its source
+ * @param {import('@apos-chatbot/shared').ScrapedPage[]} pages
+ * @returns {LoadResult}
+ */
+function loaded(pages) {
+  return { pages, failures: [], complete: true };
+}
+
+/**
+ * Group chunks by page URL, keeping chunk order
+ * @param {import('@apos-chatbot/shared').WeaviateDocument[]} documents
+ * @returns {Map<string, import('@apos-chatbot/shared').WeaviateDocument[]>}
+ */
+function groupByUrl(documents) {
+  const groups = new Map();
+  for (const doc of documents) {
+    if (!groups.has(doc.url)) {
+      groups.set(doc.url, []);
+    }
+    groups.get(doc.url).push(doc);
+  }
+  return groups;
+}
+
+/**
+ * Hash everything about a page's chunks that ends up in Weaviate
+ * Changes to chunking or metadata extraction therefore also count as changes.
+ * @param {import('@apos-chatbot/shared').WeaviateDocument[]} chunks
+ * @returns {string}
+ */
+function hashChunks(chunks) {
+  const hash = createHash('sha256');
+  for (const chunk of chunks) {
+    hash.update(JSON.stringify([
+      chunk.content,
+      chunk.title,
+      chunk.version,
+      chunk.framework,
+      chunk.docType,
+      chunk.keywords,
+      chunk.metadata?.section,
+      chunk.metadata?.anchorUrl,
+      chunk.metadata?.operation
+    ]));
+  }
+  return hash.digest('hex');
+}
@@ -3,39 +3,71 @@
  */
 
 import { CONSTANTS, createLogger } from '@apos-chatbot/shared';
+import { chunkMarkdown, parseHeading } from './markdown-chunker.js';
 
 const logger = createLogger('ChunkProcessor');
 
+/** Chunking strategies `chunkText` supports */
+export const CHUNKING_STRATEGIES = ['markdown', 'recursive'];
+
 /**
- * Split text into chunks with overlap
+ * Split text into chunks using the configured strategy
+ * `markdown` follows headings, code fences and tables; `recursive` splits on
+ * separators with character overlap.
  * @param {string} text - Text to chunk
  * @param {import('@apos-chatbot/shared').ChunkConfig} config - Chunking configuration
  * @returns {import('@apos-chatbot/shared').TextChunk[]}
+ * @throws {Error} For an unknown strategy
  */
 export function chunkText(text, config = {}) {
   const {
+    strategy = CONSTANTS.CHUNKING.STRATEGY,
     maxChunkSize = CONSTANTS.CHUNKING.MAX_CHUNK_SIZE,
     overlap = CONSTANTS.CHUNKING.OVERLAP,
     separators = CONSTANTS.CHUNKING.SEPARATORS
   } = config;
 
+  if (!CHUNKING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown chunking strategy: ${strategy}`);
+  }
+
   /** @type {import('@apos-chatbot/shared').TextChunk[]} */
   const chunks = [];
 
-  // If text is shorter than max chunk size, return as single chunk
-  if (text.length <= maxChunkSize) {
+  // Short texts too, so every chunk gets its breadcrumb and anchor
+  if (strategy === 'markdown') {
+    const sections = chunkMarkdown(text, { maxChunkSize, overlap });
+    if (sections.length > 0) {
+      return sections.map((chunk, i) => ({
+        content: chunk.content,
+        metadata: {
+          source: '',
+          chunkIndex: i,
+          totalChunks: sections.length,
+          section: chunk.path.join(' > '),
+          anchor: chunk.anchor
+        }
+      }));
+    }
+  }
+
+  // Text that fits one chunk, or markdown with nothing under its headings
+  if (text.length <= maxChunkSize || strategy === 'markdown') {
+    const firstHeading = text.split('\n').map(parseHeading).find(Boolean);
     return [{
       content: text,
       metadata: {
         source: '',
         chunkIndex: 0,
-        totalChunks: 1
+        totalChunks: 1,
+        section: firstHeading?.text
       }
     }];
   }
 
   // Split recursively using separators
   const splits = recursiveSplit(text, separators, maxChunkSize);
+  const headings = findChunkHeadings(splits);
 
   // Create chunks with overlap
   for (let i = 0; i < splits.length; i++) {
@@ -53,7 +85,9 @@ export function chunkText(text, config = {}) {
       metadata: {
         source: '',
         chunkIndex: i,
-        totalChunks: splits.length
+        totalChunks: splits.length,
+        section: headings[i].path.join(' > '),
+        anchor: headings[i].anchor
       }
     });
   }
@@ -61,6 +95,44 @@ export function chunkText(text, config = {}) {
   return chunks;
 }
 
+/**
+ * Find the heading path each consecutive piece of a document falls under
+ * That is the path in effect at the piece's first non-heading line.
+ * @param {string[]} splits - Consecutive pieces of one document
+ * @returns {{path: string[], anchor: string|null}[]}
+ */
+function findChunkHeadings(splits) {
+  const stack = [];
+  let inFence = false;
+
+  const snapshot = () => ({
+    path: stack.map(heading => heading.text),
+    anchor: stack.length > 0 ? stack[stack.length - 1].anchor : null
+  });
+
+  return splits.map(split => {
+    let found = null;
+
+    for (const line of split.split('\n')) {
+      if (/^\s*(`{3,}|~{3,})/.test(line)) {
+        inFence = !inFence;
+      }
+
+      const heading = !inFence && parseHeading(line);
+      if (heading) {
+        while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+          stack.pop();
+        }
+        stack.push(heading);
+      } else if (!found && line.trim()) {
+        found = snapshot();
+      }
+    }
+
+    return found || snapshot();
+  });
+}
+
 /**
  * Recursively split text using separators
  * @param {string} text
@@ -142,6 +214,8 @@ export function processScrapedPages(pages, chunkConfig) {
     // Chunk the content
     const chunks = chunkText(page.content, chunkConfig);
 
+    const pageUrl = page.url.split('#')[0];
+
     // Create documents from chunks
     for (const chunk of chunks) {
       documents.push({
@@ -153,10 +227,11 @@ export function processScrapedPages(pages, chunkConfig) {
         docType: metadata.docType,
         keywords: metadata.keywords,
         metadata: {
-          section: chunk.metadata.section || metadata.section,
+          ...page.metadata,
+          section: chunk.metadata.section || page.metadata.section || metadata.section,
+          anchorUrl: chunk.metadata.anchor ? `${pageUrl}#${chunk.metadata.anchor}` : page.url,
           chunkIndex: chunk.metadata.chunkIndex,
-          totalChunks: chunk.metadata.totalChunks,
-          ...page.metadata
+          totalChunks: chunk.metadata.totalChunks
         }
       });
     }
@@ -175,15 +250,26 @@ function extractMetadata(page) {
   const url = page.url.toLowerCase();
   const content = page.content.toLowerCase();
 
+  // Sources that declare their framework, version or doc type take precedence over detection
+  const {
+    framework: declaredFramework,
+    version: declaredVersion,
+    docType: declaredDocType
+  } = page.metadata;
+
   // Detect version
   let version = '4.x'; // Default to latest
-  if (url.includes('/v3/') || url.includes('/3.x/')) {
+  if (declaredVersion) {
+    version = declaredVersion;
+  } else if (url.includes('/v3/') || url.includes('/3.x/')) {
     version = '3.x';
   }
 
   // Detect framework
   let framework = 'core';
-  if (url.includes('astro') || content.includes('astro')) {
+  if (declaredFramework) {
+    framework = declaredFramework;
+  } else if (url.includes('astro') || content.includes('astro')) {
     framework = 'astro';
   } else if (url.includes('vue') || content.includes('vue')) {
     framework = 'vue';
@@ -193,7 +279,9 @@ function extractMetadata(page) {
 
   // Detect doc type
   let docType = 'guide';
-  if (url.includes('/reference/') || url.includes('/api/')) {
+  if (declaredDocType) {
+    docType = declaredDocType;
+  } else if (url.includes('/reference/') || url.includes('/api/')) {
     docType = 'reference';
   } else if (url.includes('/tutorial/')) {
     docType = 'tutorial';
@@ -1,88 +1,204 @@
 /**
  * @fileoverview Processor for llms-full.txt documentation files
- * 
+ *
  * Many modern documentation sites provide an llms-full.txt file
  * optimized for LLM consumption. This processor handles that format.
  */
 
+import { readFile } from 'fs/promises';
+import { createLogger } from '@apos-chatbot/shared';
+
+const logger = createLogger('LLMsFullProcessor');
+
+/** Sections longer than this are split again on their sub-headings */
+const DEFAULT_MAX_SECTION_SIZE = 8000;
+
+/** Deepest heading level sections are split on */
+const MAX_SPLIT_LEVEL = 4;
+
+/**
+ * An llms-full.txt source
+ * @typedef {Object} LLMsFullSource
+ * @property {string} name - Source name for logs
+ * @property {string} [url] - URL of the llms-full.txt file
+ * @property {string} [file] - Local path of the llms-full.txt file (used instead of `url`)
+ * @property {import('@apos-chatbot/shared').Framework | 'core'} framework - Framework the docs cover
+ * @property {string} version - Version the docs cover
+ * @property {string} baseUrl - Public docs base URL, used for sections without a URL: line
+ * @property {number} [maxSectionSize] - Sections longer than this are split on sub-headings
+ */
+
 /**
  * Process llms-full.txt content into page-like structures
  * @param {string} fullText - Complete content from llms-full.txt
  * @param {Object} options - Processing options
- * @returns {Array} Array of page-like objects
+ * @param {string} options.baseUrl - Public docs base URL
+ * @param {string} options.framework - Framework the docs cover
+ * @param {string} options.version - Version the docs cover
+ * @param {number} [options.maxSectionSize] - Sections longer than this are split on sub-headings
+ * @returns {import('@apos-chatbot/shared').ScrapedPage[]} Array of page-like objects
+ * @throws {Error} If `baseUrl`, `framework` or `version` is missing
  */
-export function processLLMsFullText(fullText, options = {}) {
+export function processLLMsFullText(fullText, options) {
   const {
-    baseUrl = 'https://docs.astro.build',
-    framework = 'astro',
-    version = '4.x'
+    baseUrl,
+    framework,
+    version,
+    maxSectionSize = DEFAULT_MAX_SECTION_SIZE
   } = options;
 
+  // The file itself does not say which docs it holds
+  const missing = Object.entries({ baseUrl, framework, version })
+    .filter(([, value]) => !value)
+    .map(([name]) => name);
+  if (missing.length > 0) {
+    throw new Error(`llms-full.txt processing requires ${missing.join(', ')}`);
+  }
+
   // Split content by major headings (# Title)
-  const sections = splitIntoSections(fullText);
+  const sections = splitByHeading(fullText, 1)
+    .filter(section => section.heading);
 
-  const pages = sections.map((section, index) => {
-    // Extract title from first line (# Title)
-    const titleMatch = section.match(/^#\s+(.+)$/m);
-    const title = titleMatch ? titleMatch[1] : `Section ${index + 1}`;
+  const pages = [];
+
+  sections.forEach((section, index) => {
+    const title = section.heading || `Section ${index + 1}`;
+    const text = section.text.trim();
 
     // Generate a URL slug from the title
-    const explicitUrl = extractMetaLine(section, 'URL');
-    const slug = titleToSlug(title);
-    const url = explicitUrl || `${baseUrl}/${slug}/`;
-
-
-    // Extract headings for metadata
-    const headings = extractHeadings(section);
-
-    const collection = extractMetaLine(section, 'COLLECTION');
-    const navPath = extractMetaLine(section, 'NAV_PATH');
-    const docPath = extractMetaLine(section, 'DOC_PATH');
-
-    return {
-      url,
-      title,
-      content: section.trim(),
-      links: [],
-      metadata: {
-        description: `${title} documentation`,
-        headings,
-        internalLinks: [],
-        externalLinks: [],
-        scrapedAt: new Date(),
-        source: 'llms-full.txt',
-        framework,
-        version,
-        collection,
-        navPath,
-        docPath
-      }
+    const explicitUrl = extractMetaLine(text, 'URL');
+    const url = explicitUrl || `${baseUrl}/${titleToSlug(title)}/`;
+
+    const pageMetadata = {
+      source: 'llms-full.txt',
+      framework,
+      version,
+      collection: extractMetaLine(text, 'COLLECTION'),
+      navPath: extractMetaLine(text, 'NAV_PATH'),
+      docPath: extractMetaLine(text, 'DOC_PATH')
     };
+
+    for (const part of splitLargeSection(text, [title], 2, maxSectionSize)) {
+      const breadcrumb = part.path.join(' > ');
+      const isSubsection = part.path.length > 1;
+
+      pages.push({
+        url: isSubsection ? `${url}#${titleToSlug(part.path[part.path.length - 1])}` : url,
+        title: isSubsection ? `${title} - ${part.path[part.path.length - 1]}` : title,
+        content: part.text,
+        links: [],
+        metadata: {
+          description: `${breadcrumb} documentation`,
+          headings: extractHeadings(part.text),
+          internalLinks: [],
+          externalLinks: [],
+          scrapedAt: new Date(),
+          section: breadcrumb,
+          ...pageMetadata
+        }
+      });
+    }
   });
 
   return pages;
 }
 
-function extractMetaLine(text, key) {
-  const re = new RegExp(`^${key}:\\s+(.+)$`, 'm');
-  const m = text.match(re);
-  return m ? m[1].trim() : null;
+/**
+ * Split an oversized section on its next heading level, recursively
+ * Text before the first sub-heading stays with the parent heading path.
+ * @param {string} text - Section text, including its own heading
+ * @param {string[]} path - Heading path of this section
+ * @param {number} level - Heading level to split on
+ * @param {number} maxSize - Maximum section size
+ * @returns {{path: string[], text: string}[]}
+ */
+function splitLargeSection(text, path, level, maxSize) {
+  if (text.length <= maxSize || level > MAX_SPLIT_LEVEL) {
+    return [{ path, text }];
+  }
+
+  const parts = splitByHeading(text, level);
+  if (parts.length <= 1) {
+    // No headings at this level, try the next one
+    return splitLargeSection(text, path, level + 1, maxSize);
+  }
+
+  const result = [];
+  for (const part of parts) {
+    const body = part.text.trim();
+    if (!body) continue;
+
+    // Skip intros that are nothing but the parent heading and meta lines
+    if (!part.heading && isOnlyHeadingAndMeta(body)) continue;
+
+    const partPath = part.heading ? [...path, part.heading] : path;
+    result.push(...splitLargeSection(body, partPath, level + 1, maxSize));
+  }
+
+  return result;
 }
 
+/**
+ * Check whether text has no content besides headings and meta lines
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isOnlyHeadingAndMeta(text) {
+  return text
+    .split('\n')
+    .every(line => !line.trim() || /^#{1,6}\s/.test(line) || /^[A-Z_]+:\s/.test(line));
+}
 
 /**
- * Split llms-full.txt content into major sections
- * @param {string} text - Full text content
- * @returns {string[]} Array of section texts
+ * Split markdown on headings of exactly the given level, ignoring lines inside code fences
+ * @param {string} text - Markdown text
+ * @param {number} level - Heading level (1 for `#`, 2 for `##`, ...)
+ * @returns {{heading: string|null, text: string}[]} Parts in order; the first has no heading
+ *   when there is text before the first matching heading
  */
-function splitIntoSections(text) {
-  // Split on major headings (# Title at start of line)
-  const parts = text.split(/(?=^# [^\n]+$)/m);
-
-  // Filter out empty parts and the preamble
-  return parts
-    .map(part => part.trim())
-    .filter(part => part.length > 0 && part.startsWith('#'));
+function splitByHeading(text, level) {
+  const headingRegex = new RegExp(`^#{${level}}\\s+(.+?)\\s*#*$`);
+  const parts = [];
+  let current = { heading: null, lines: [] };
+  let fence = null;
+
+  for (const line of text.split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1].startsWith(fence)) {
+        fence = null;
+      }
+    }
+
+    const headingMatch = !fence && line.match(headingRegex);
+    if (headingMatch) {
+      if (current.heading || current.lines.some(l => l.trim())) {
+        parts.push(current);
+      }
+      current = { heading: headingMatch[1].trim(), lines: [] };
+    }
+    current.lines.push(line);
+  }
+
+  if (current.heading || current.lines.some(l => l.trim())) {
+    parts.push(current);
+  }
+
+  return parts.map(part => ({ heading: part.heading, text: part.lines.join('\n') }));
+}
+
+/**
+ * Extract a `KEY: value` meta line
+ * @param {string} text
+ * @param {string} key
+ * @returns {string|null}
+ */
+function extractMetaLine(text, key) {
+  const re = new RegExp(`^${key}:\\s+(.+)$`, 'm');
+  const m = text.match(re);
+  return m ? m[1].trim() : null;
 }
 
 /**
@@ -119,11 +235,11 @@ function titleToSlug(title) {
 /**
  * Fetch and process llms-full.txt from a URL
  * @param {string} url - URL to llms-full.txt file
- * @param {Object} options - Processing options
- * @returns {Promise<Array>} Array of processed pages
+ * @param {Object} options - Processing options (see `processLLMsFullText`)
+ * @returns {Promise<import('@apos-chatbot/shared').ScrapedPage[]>} Array of processed pages
  */
-export async function fetchAndProcessLLMsFullText(url, options = {}) {
-  console.log(`Fetching llms-full.txt from: ${url}`);
+export async function fetchAndProcessLLMsFullText(url, options) {
+  logger.info(`Fetching llms-full.txt from: ${url}`);
 
   const response = await fetch(url);
 
@@ -132,31 +248,58 @@ export async function fetchAndProcessLLMsFullText(url, options = {}) {
   }
 
   const text = await response.text();
-  console.log(`Downloaded ${Math.round(text.length / 1024)}KB of documentation`);
+  logger.info(`Downloaded ${Math.round(text.length / 1024)}KB of documentation`);
 
   const pages = processLLMsFullText(text, options);
-  console.log(`Processed into ${pages.length} sections`);
+  logger.info(`Processed into ${pages.length} sections`);
 
   return pages;
 }
 
+/**
+ * Load and process an llms-full.txt source from its URL or local file
+ * @param {LLMsFullSource} source
+ * @returns {Promise<import('@apos-chatbot/shared').ScrapedPage[]>}
+ */
+export async function loadLLMsFullSource(source) {
+  const options = {
+    baseUrl: source.baseUrl,
+    framework: source.framework,
+    version: source.version,
+    maxSectionSize: source.maxSectionSize
+  };
+
+  if (source.file) {
+    logger.info(`Reading llms-full.txt for ${source.name} from: ${source.file}`);
+    const text = await readFile(source.file, 'utf-8');
+    const pages = processLLMsFullText(text, options);
+    logger.info(`Processed into ${pages.length} sections`);
+    return pages;
+  }
+
+  if (!source.url) {
+    throw new Error(`llms-full source ${source.name} needs a url or file`);
+  }
+
+  return fetchAndProcessLLMsFullText(source.url, options);
+}
+
 /**
  * Example usage:
- * 
- * import { fetchAndProcessLLMsFullText } from './llms-full-processor.js';
- * 
- * const astroPages = await fetchAndProcessLLMsFullText(
- *   'https://docs.astro.build/llms-full.txt',
- *   {
- *     baseUrl: 'https://docs.astro.build',
- *     framework: 'astro',
- *     version: '4.x'
- *   }
- * );
+ *
+ * import { loadLLMsFullSource } from './llms-full-processor.js';
+ *
+ * const astroPages = await loadLLMsFullSource({
+ *   name: 'astro',
+ *   url: 'https://docs.astro.build/llms-full.txt',
+ *   baseUrl: 'https://docs.astro.build',
+ *   framework: 'astro',
+ *   version: '5.x'
+ * });
  *
  * // Now process with your chunk processor
  * const documents = processScrapedPages(astroPages, {
  *   maxChunkSize: 1000,
  *   overlap: 200
  * });
- */
\ No newline at end of file
+ */
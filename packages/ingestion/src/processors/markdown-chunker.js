@@ -0,0 +1,425 @@
+/**
+ * @fileoverview Markdown-structure-aware chunking
+ * Splits on heading boundaries first, keeps code fences, tables and paragraphs
+ * whole where possible, and prefixes each chunk with its heading breadcrumb.
+ */
+
+/** Separators for paragraphs too long for one chunk */
+const PARAGRAPH_SEPARATORS = ['\n', '. ', ' '];
+
+/** Breadcrumb separator, e.g. "Widgets > Widget options" */
+const BREADCRUMB_SEPARATOR = ' > ';
+
+/**
+ * A markdown block
+ * @typedef {Object} Block
+ * @property {'heading' | 'code' | 'table' | 'paragraph'} type
+ * @property {string} text - Block source text
+ * @property {string} [fenceOpen] - code: opening fence line, e.g. "```js"
+ * @property {string} [fenceClose] - code: closing fence line
+ */
+
+/**
+ * A run of blocks under one heading
+ * @typedef {Object} Section
+ * @property {string[]} path - Heading texts from the top level down
+ * @property {string|null} anchor - Fragment ID of the section's heading
+ * @property {Block[]} blocks - Blocks, starting with the heading itself
+ */
+
+/**
+ * Split markdown into chunks along its structure
+ * @param {string} text - Markdown text
+ * @param {Object} options
+ * @param {number} options.maxChunkSize - Maximum characters per chunk
+ * @param {number} options.overlap - A block this short that ends one chunk is repeated at the start of the next
+ * @returns {{content: string, path: string[], anchor: string|null}[]} Chunks with their heading path and anchor
+ */
+export function chunkMarkdown(text, { maxChunkSize, overlap }) {
+  const chunks = [];
+
+  for (const section of parseSections(text)) {
+    // Headings with nothing under them live on in their subsections' breadcrumbs
+    if (section.blocks.every(block => block.type === 'heading')) continue;
+
+    const prefix = section.path.length > 0
+      ? section.path.join(BREADCRUMB_SEPARATOR) + '\n\n'
+      : '';
+    const budget = Math.max(maxChunkSize - prefix.length, Math.floor(maxChunkSize / 2));
+
+    for (const body of packBlocks(section.blocks, budget, overlap)) {
+      chunks.push({ content: prefix + body, path: section.path, anchor: section.anchor });
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Parse markdown into sections of blocks
+ * @param {string} text
+ * @returns {Section[]}
+ */
+export function parseSections(text) {
+  const lines = text.split('\n');
+  /** @type {Section[]} */
+  const sections = [{ path: [], anchor: null, blocks: [] }];
+  /** @type {{level: number, text: string}[]} */
+  const headingStack = [];
+  let paragraph = [];
+  let table = [];
+
+  const current = () => sections[sections.length - 1];
+  const flush = () => {
+    if (paragraph.length > 0) {
+      current().blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+      paragraph = [];
+    }
+    if (table.length > 0) {
+      current().blocks.push({ type: 'table', text: table.join('\n') });
+      table = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      flush();
+      const marker = fence[1];
+      const codeLines = [line];
+      let closed = false;
+
+      while (++i < lines.length) {
+        codeLines.push(lines[i]);
+        if (lines[i].trim().startsWith(marker) && lines[i].trim().replace(/[`~]/g, '') === '') {
+          closed = true;
+          break;
+        }
+      }
+
+      current().blocks.push({
+        type: 'code',
+        text: codeLines.join('\n'),
+        fenceOpen: line,
+        fenceClose: closed ? codeLines[codeLines.length - 1] : marker
+      });
+      continue;
+    }
+
+    const heading = parseHeading(line);
+    if (heading) {
+      flush();
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= heading.level) {
+        headingStack.pop();
+      }
+      headingStack.push(heading);
+
+      sections.push({
+        path: headingStack.map(entry => entry.text),
+        anchor: heading.anchor,
+        blocks: [{ type: 'heading', text: line }]
+      });
+      continue;
+    }
+
+    if (line.trim().startsWith('|')) {
+      if (paragraph.length > 0) flush();
+      table.push(line);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    if (table.length > 0) flush();
+    paragraph.push(line);
+  }
+
+  flush();
+  return sections.filter(section => section.blocks.length > 0);
+}
+
+/**
+ * Parse a markdown heading line
+ * The anchor comes from an explicit `{#id}`, a permalink such as the `[​](#id)`
+ * VitePress adds to its headings, or else the slugified heading text.
+ * @param {string} line
+ * @returns {{level: number, text: string, anchor: string}|null} Null if the line is not a heading
+ */
+export function parseHeading(line) {
+  const match = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+  if (!match) {
+    return null;
+  }
+
+  const raw = match[2];
+  const explicit = raw.match(/\{#([\w-]+)\}/) || raw.match(/\]\(#([^)\s]+)\)/);
+
+  const text = raw
+    .replace(/\{#[\w-]+\}/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[`\u200B]/g, '')
+    .trim();
+
+  return {
+    level: match[1].length,
+    text,
+    anchor: explicit ? explicit[1] : slugify(text)
+  };
+}
+
+/**
+ * Slugify heading text the way VitePress does for its heading IDs
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036F]/g, '')
+    .replace(/[\u0000-\u001f]/g, '')
+    .replace(/[\s~`!@#$%^&*()\-_+=[\]{}|\\;:"'“”‘’<>,.?/]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .replace(/^(\d)/, '_$1')
+    .toLowerCase();
+}
+
+/**
+ * Pack blocks into chunk bodies no longer than `budget`
+ * Oversized blocks are split first: code at line boundaries with the fence
+ * re-opened, tables by rows with the header repeated, paragraphs at line,
+ * sentence or word boundaries.
+ * @param {Block[]} blocks
+ * @param {number} budget - Maximum characters per chunk body
+ * @param {number} overlap - Maximum size of a block repeated across chunks
+ * @returns {string[]}
+ */
+function packBlocks(blocks, budget, overlap) {
+  // Leave room for a lead-in next to each piece of a split code block or table
+  const pieceBudget = Math.max(budget - overlap, Math.floor(budget / 2));
+  const pieces = [];
+  // Length of the lead-ins right before the current block, which share its first chunk
+  let leadInLength = 0;
+
+  for (const block of blocks) {
+    const blockBudget = block.type === 'paragraph' ? budget : pieceBudget;
+    const room = leadInLength > 0
+      ? Math.max(Math.min(blockBudget, budget - leadInLength - 2), Math.floor(budget / 2))
+      : blockBudget;
+    pieces.push(...splitBlock(block, room));
+
+    leadInLength = isLeadIn(block, overlap)
+      ? leadInLength + (leadInLength > 0 ? 2 : 0) + block.text.length
+      : 0;
+  }
+
+  const bodies = [];
+  let current = [];
+
+  for (const piece of pieces) {
+    if (current.length > 0 && measure([...current, piece]) > budget) {
+      // Headings and short lead-ins ("For example:") move with the block they introduce
+      let moved = [];
+      while (current.length > 0 && isLeadIn(current[current.length - 1], overlap)) {
+        moved.unshift(current.pop());
+      }
+      // Lead-ins too long to share a chunk with the block stay where they are
+      if (moved.length > 0 && measure([...moved, piece]) > budget) {
+        current.push(...moved);
+        moved = [];
+      }
+
+      let carried = [];
+      if (current.length > 0) {
+        bodies.push(current.map(p => p.text).join('\n\n'));
+
+        // Repeat a short trailing paragraph so the next chunk keeps its context
+        const last = current[current.length - 1];
+        if (moved.length === 0 && current.length > 1 && last.type === 'paragraph' &&
+          last.text.length <= overlap && measure([last, piece]) <= budget) {
+          carried = [last];
+        }
+      }
+
+      current = [...carried, ...moved];
+    }
+
+    current.push(piece);
+  }
+
+  if (current.length > 0) {
+    bodies.push(current.map(p => p.text).join('\n\n'));
+  }
+
+  return bodies;
+}
+
+/**
+ * Length of blocks joined into a chunk body
+ * @param {Block[]} blocks
+ * @returns {number}
+ */
+function measure(blocks) {
+  return blocks.reduce((total, block) => total + block.text.length, 0) + 2 * (blocks.length - 1);
+}
+
+/**
+ * Check whether a block only introduces what follows it
+ * @param {Block} block
+ * @param {number} maxLength - Longest paragraph treated as a lead-in
+ * @returns {boolean}
+ */
+function isLeadIn(block, maxLength) {
+  return block.type === 'heading' ||
+    (block.type === 'paragraph' && block.text.length <= maxLength && /:\s*$/.test(block.text));
+}
+
+/**
+ * Split a block that does not fit in one chunk
+ * @param {Block} block
+ * @param {number} budget
+ * @returns {Block[]}
+ */
+function splitBlock(block, budget) {
+  if (block.text.length <= budget) {
+    return [block];
+  }
+
+  switch (block.type) {
+    case 'code':
+      return splitCode(block, budget);
+    case 'table':
+      return splitTable(block, budget);
+    default:
+      return splitText(block.text, PARAGRAPH_SEPARATORS, budget)
+        .map(text => ({ type: block.type, text }));
+  }
+}
+
+/**
+ * Split a code block at line boundaries, re-opening the fence in every piece
+ * @param {Block} block
+ * @param {number} budget
+ * @returns {Block[]}
+ */
+function splitCode(block, budget) {
+  const lines = block.text.split('\n');
+  const hasClose = lines.length > 1 && lines[lines.length - 1] === block.fenceClose;
+  const body = lines.slice(1, hasClose ? -1 : undefined);
+  const overhead = block.fenceOpen.length + block.fenceClose.length + 2;
+
+  return groupLines(body, budget - overhead).map(group => ({
+    type: 'code',
+    text: [block.fenceOpen, ...group, block.fenceClose].join('\n')
+  }));
+}
+
+/**
+ * Split a table by rows, repeating the header row in every piece
+ * @param {Block} block
+ * @param {number} budget
+ * @returns {Block[]}
+ */
+function splitTable(block, budget) {
+  const rows = block.text.split('\n');
+  const hasHeader = rows.length > 1 && /^\s*\|?\s*:?-{3,}/.test(rows[1]);
+  const header = hasHeader ? rows.slice(0, 2) : [];
+  const body = hasHeader ? rows.slice(2) : rows;
+  const overhead = header.reduce((total, row) => total + row.length + 1, 0);
+
+  return groupLines(body, budget - overhead).map(group => ({
+    type: 'table',
+    text: [...header, ...group].join('\n')
+  }));
+}
+
+/**
+ * Group lines into runs of at most `budget` characters
+ * A single line longer than the budget gets a group of its own.
+ * @param {string[]} lines
+ * @param {number} budget
+ * @returns {string[][]}
+ */
+function groupLines(lines, budget) {
+  const groups = [];
+  let group = [];
+  let size = 0;
+
+  for (const line of lines) {
+    if (group.length > 0 && size + line.length + 1 > budget) {
+      groups.push(group);
+      group = [];
+      size = 0;
+    }
+    group.push(line);
+    size += line.length + 1;
+  }
+
+  if (group.length > 0) {
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+/**
+ * Split prose on the first separator that makes the pieces fit
+ * @param {string} text
+ * @param {string[]} separators - In priority order
+ * @param {number} budget
+ * @returns {string[]}
+ */
+function splitText(text, separators, budget) {
+  if (text.length <= budget) {
+    return [text];
+  }
+
+  const [separator, ...rest] = separators;
+  if (!separator) {
+    const pieces = [];
+    for (let i = 0; i < text.length; i += budget) {
+      pieces.push(text.slice(i, i + budget));
+    }
+    return pieces;
+  }
+
+  // Keep sentence-ending punctuation with its sentence
+  const isSentence = separator === '. ';
+  const parts = text.split(separator);
+  const units = isSentence ? parts.map((part, i) => (i < parts.length - 1 ? part + '.' : part)) : parts;
+  const joiner = isSentence ? ' ' : separator;
+
+  const pieces = [];
+  let current = '';
+
+  for (const unit of units) {
+    const joined = current ? current + joiner + unit : unit;
+
+    if (joined.length <= budget) {
+      current = joined;
+      continue;
+    }
+
+    if (current) {
+      pieces.push(current);
+    }
+
+    if (unit.length > budget) {
+      pieces.push(...splitText(unit, rest, budget));
+      current = '';
+    } else {
+      current = unit;
+    }
+  }
+
+  if (current) {
+    pieces.push(current);
+  }
+
+  return pieces;
+}
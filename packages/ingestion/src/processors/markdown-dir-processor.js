@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Processor for a local directory of markdown docs
+ * Reads a checkout of a VitePress docs site without a browser or network:
+ * parses frontmatter, maps file paths to public URLs and strips
+ * VitePress-only syntax.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { dirname, extname, join, relative, resolve, sep } from 'path';
+import yaml from 'js-yaml';
+import { createLogger } from '@apos-chatbot/shared';
+
+const logger = createLogger('MarkdownDirProcessor');
+
+/** Directories never walked */
+const SKIPPED_DIRS = new Set(['node_modules', '.vitepress', 'public']);
+
+/** Code fence languages for included snippet files */
+const SNIPPET_LANGUAGES = {
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'typescript',
+  '.vue': 'vue',
+  '.html': 'html',
+  '.njk': 'nunjucks',
+  '.scss': 'scss',
+  '.css': 'css',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.sh': 'bash'
+};
+
+/**
+ * Options for a local markdown source
+ * @typedef {Object} MarkdownDirOptions
+ * @property {string} dir - Directory to walk
+ * @property {string} baseUrl - Public URL of `dir`
+ * @property {string} [srcDir] - VitePress source root that `@/` in includes refers to (defaults to `dir`)
+ * @property {boolean} [cleanUrls] - Map `guide/a.md` to `/guide/a` instead of `/guide/a.html`
+ * @property {string[]} [excludePatterns] - Relative paths containing any of these are skipped
+ */
+
+/**
+ * Load every markdown file in a directory as a page
+ * @param {MarkdownDirOptions} options
+ * @returns {Promise<import('@apos-chatbot/shared').ScrapedPage[]>}
+ */
+export async function processMarkdownDirectory(options) {
+  const dir = resolve(options.dir);
+  const { excludePatterns = [] } = options;
+
+  logger.info(`Reading markdown files from: ${dir}`);
+
+  const files = (await findMarkdownFiles(dir))
+    .map(file => relative(dir, file).split(sep).join('/'))
+    .filter(path => !excludePatterns.some(pattern => path.includes(pattern)))
+    .sort();
+
+  const pages = [];
+  for (const path of files) {
+    const source = await readFile(join(dir, path), 'utf-8');
+    const page = await processMarkdownFile(source, path, options);
+    if (page) {
+      pages.push(page);
+    }
+  }
+
+  logger.info(`Processed ${pages.length} of ${files.length} markdown files`);
+  return pages;
+}
+
+/**
+ * Convert one markdown file to a page
+ * @param {string} source - File contents
+ * @param {string} path - Path relative to the docs directory, with `/` separators
+ * @param {MarkdownDirOptions} options
+ * @returns {Promise<import('@apos-chatbot/shared').ScrapedPage|null>} Null for empty pages
+ */
+export async function processMarkdownFile(source, path, options) {
+  const { data, body } = parseFrontmatter(source, path);
+  const content = (await stripVitePressSyntax(body, path, options)).trim();
+
+  if (!content) {
+    logger.debug(`Skipping empty page ${path}`);
+    return null;
+  }
+
+  const url = pathToUrl(path, options);
+  const headings = findHeadings(content);
+  const title = data.title || headings[0] || path.replace(/\.md$/, '');
+  const links = extractLinks(content, url, options.cleanUrls);
+
+  return {
+    url,
+    title,
+    content,
+    links: links.map(link => link.url),
+    metadata: {
+      description: data.description,
+      headings,
+      internalLinks: links.filter(link => link.url.startsWith(options.baseUrl)),
+      externalLinks: links.filter(link => !link.url.startsWith(options.baseUrl)),
+      scrapedAt: new Date(),
+      ...(data.version && { version: String(data.version) }),
+      ...(data.tags && { tags: [].concat(data.tags) }),
+      filePath: path
+    }
+  };
+}
+
+/**
+ * Find markdown files under a directory
+ * @param {string} dir
+ * @returns {Promise<string[]>} Absolute paths
+ */
+async function findMarkdownFiles(dir) {
+  const files = [];
+
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRS.has(entry.name) && !entry.name.startsWith('.')) {
+        files.push(...await findMarkdownFiles(path));
+      }
+    } else if (entry.isFile() && extname(entry.name) === '.md') {
+      files.push(path);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Split YAML frontmatter from the markdown body
+ * @param {string} source
+ * @param {string} path - For error messages
+ * @returns {{data: Object, body: string}}
+ */
+function parseFrontmatter(source, path) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { data: {}, body: source };
+  }
+
+  try {
+    return { data: yaml.load(match[1]) || {}, body: source.slice(match[0].length) };
+  } catch (error) {
+    logger.warn(`Invalid frontmatter in ${path}: ${error.message}`);
+    return { data: {}, body: source.slice(match[0].length) };
+  }
+}
+
+/**
+ * Map a docs file path to its public URL the way VitePress does
+ * @param {string} path - e.g. `guide/index.md`, `guide/widgets.md`
+ * @param {MarkdownDirOptions} options
+ * @returns {string}
+ */
+function pathToUrl(path, { baseUrl, cleanUrls = false }) {
+  const base = baseUrl.replace(/\/$/, '');
+  const page = path.replace(/\.md$/, '');
+
+  if (page === 'index' || page.endsWith('/index')) {
+    return `${base}/${page.slice(0, -'index'.length)}`;
+  }
+
+  return `${base}/${page}${cleanUrls ? '' : '.html'}`;
+}
+
+/**
+ * Remove VitePress-only syntax outside code fences
+ * `::: tip Title` container markers become a bold title (or nothing), snippet
+ * includes (`<<< @/snippets/file.js`, or `<<< ./file.js` relative to the page)
+ * are inlined as code blocks when the file exists, and `<script setup>`/`<style>` blocks, `[[toc]]` and HTML comments
+ * are dropped.
+ * @param {string} body - Markdown without frontmatter
+ * @param {string} path - Path of the page relative to the docs directory
+ * @param {MarkdownDirOptions} options
+ * @returns {Promise<string>}
+ */
+async function stripVitePressSyntax(body, path, options) {
+  const dirs = {
+    srcDir: resolve(options.srcDir || options.dir),
+    pageDir: dirname(resolve(options.dir, path))
+  };
+  const output = [];
+  let fence = null;
+  let skipUntil = null;
+
+  for (const line of body.split('\n')) {
+    if (skipUntil) {
+      if (skipUntil.test(line)) skipUntil = null;
+      continue;
+    }
+
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1].startsWith(fence)) {
+        fence = null;
+      }
+      output.push(line);
+      continue;
+    }
+
+    if (fence) {
+      output.push(line);
+      continue;
+    }
+
+    // Vue blocks in the page
+    const block = line.match(/^\s*<(script|style)\b[^>]*>/);
+    if (block) {
+      const closing = new RegExp(`</${block[1]}>`);
+      if (!closing.test(line)) skipUntil = closing;
+      continue;
+    }
+
+    // Custom containers: ::: tip, ::: warning Title, ::: details, ::: code-group, :::
+    const container = line.match(/^\s*:::+\s*(\S+)?\s*(.*)$/);
+    if (container) {
+      const title = container[2].trim();
+      if (title && container[1] !== 'code-group') {
+        output.push(`**${title}**`, '');
+      }
+      continue;
+    }
+
+    // Snippet includes: <<< @/snippets/file.js{2-4} [label]
+    const include = line.match(/^\s*<<<\s+(\S+?)(\{[^}]*\})?(\s+\[.*\])?\s*$/);
+    if (include) {
+      output.push(...await readSnippet(include[1], dirs));
+      continue;
+    }
+
+    if (/^\s*\[\[toc\]\]\s*$/i.test(line)) {
+      continue;
+    }
+
+    output.push(line);
+  }
+
+  return output.join('\n').replace(/<!--[\s\S]*?-->/g, '');
+}
+
+/**
+ * Find the headings of a page, skipping code fences
+ * Comment lines in shell snippets (`# install deps`) are not headings.
+ * @param {string} content
+ * @returns {string[]} Heading texts in page order
+ */
+function findHeadings(content) {
+  const headings = [];
+  let fence = null;
+
+  for (const line of content.split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1].startsWith(fence)) {
+        fence = null;
+      }
+      continue;
+    }
+
+    const heading = !fence && line.match(/^#{1,6}\s+(.+)$/);
+    if (heading) {
+      headings.push(heading[1].trim());
+    }
+  }
+
+  return headings;
+}
+
+/**
+ * Read an included snippet as a fenced code block
+ * Like VitePress, `@/` refers to the source root and other paths to the
+ * directory of the including page.
+ * @param {string} reference - Path from the include
+ * @param {{srcDir: string, pageDir: string}} dirs
+ * @returns {Promise<string[]>} Lines to insert, empty if the file cannot be read
+ */
+async function readSnippet(reference, { srcDir, pageDir }) {
+  const [filePath, region] = reference.split('#');
+  const path = filePath.startsWith('@/')
+    ? resolve(srcDir, filePath.slice(2))
+    : resolve(pageDir, filePath);
+
+  try {
+    let code = await readFile(path, 'utf-8');
+    if (region) {
+      const name = escapeRegExp(region);
+      const match = code.match(new RegExp(`#region ${name}\\s*\\n([\\s\\S]*?)\\n.*#endregion ${name}`));
+      if (match) code = match[1];
+    }
+    const language = SNIPPET_LANGUAGES[extname(path)] || '';
+    return ['```' + language, code.replace(/\n$/, ''), '```'];
+  } catch {
+    logger.warn(`Dropping include of missing snippet ${reference} (${path})`);
+    return [];
+  }
+}
+
+/**
+ * @param {string} text
+ * @returns {string} Text with RegExp special characters escaped
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Extract markdown links, resolved against the page URL
+ * @param {string} content
+ * @param {string} pageUrl
+ * @param {boolean} [cleanUrls] - Whether `.md` links map to extensionless URLs
+ * @returns {Array<{url: string, text: string}>}
+ */
+function extractLinks(content, pageUrl, cleanUrls = false) {
+  const links = [];
+
+  for (const match of content.matchAll(/\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g)) {
+    const [, text, href] = match;
+    if (href.startsWith('#')) continue;
+
+    try {
+      const url = new URL(href.replace(/\.md(#|$)/, `${cleanUrls ? '' : '.html'}$1`), pageUrl);
+      links.push({ url: url.href, text });
+    } catch {
+      // Not a URL
+    }
+  }
+
+  return links;
+}
@@ -0,0 +1,441 @@
+/**
+ * @fileoverview Request examples for OpenAPI operations
+ * Builds a curl command and an ESM `fetch` snippet for an operation, with
+ * required parameters filled from their examples, defaults or enum values,
+ * a minimal request body generated from the schema and auth taken from the
+ * spec's security schemes, so answers can quote real calls.
+ */
+
+import { mergeAllOf } from './openapi-resolver.js';
+
+/** Request body media types, in order of preference */
+const PREFERRED_MEDIA_TYPES = ['application/json', 'multipart/form-data', 'application/x-www-form-urlencoded'];
+
+/** Nesting beyond which generated bodies stop */
+const MAX_SAMPLE_DEPTH = 6;
+
+/** Used when the spec declares no server */
+const DEFAULT_SERVER_URL = 'http://localhost:3000';
+
+/** Sample strings by format */
+const FORMAT_SAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  time: '12:00:00',
+  email: 'user@example.com',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  uuid: '00000000-0000-0000-0000-000000000000',
+  password: 'your-password'
+};
+
+/** Placeholder for a file upload in a generated body */
+const FILE = Object.freeze({ file: true });
+
+/**
+ * An operation to build examples for
+ * @typedef {Object} ExampleOperation
+ * @property {string} method - HTTP method, lowercase
+ * @property {string} path - Path template, e.g. `/pages/{_id}`
+ * @property {Object} operation - OpenAPI operation object
+ * @property {Object} pathItem - Path item holding the operation
+ * @property {Object[]} parameters - Resolved path-level and operation parameters
+ */
+
+/**
+ * An HTTP request ready to be rendered as code
+ * @typedef {Object} ExampleRequest
+ * @property {string} method - HTTP method, uppercase
+ * @property {string} url - Full URL with query string
+ * @property {Array<[string, string]>} headers
+ * @property {string|null} basicAuth - `user:password` for HTTP basic auth
+ * @property {{mediaType: string, value: *}|null} body
+ */
+
+/**
+ * Build curl and fetch examples for an operation
+ * @param {ExampleOperation} input
+ * @param {import('./openapi-resolver.js').OpenAPIResolver} resolver
+ * @returns {{curl: string, fetch: string}}
+ */
+export function createRequestExamples(input, resolver) {
+  const request = buildRequest(input, resolver);
+  return { curl: toCurl(request), fetch: toFetch(request) };
+}
+
+/**
+ * Work out the URL, headers and body of an example request
+ * @param {ExampleOperation} input
+ * @param {import('./openapi-resolver.js').OpenAPIResolver} resolver
+ * @returns {ExampleRequest}
+ */
+function buildRequest({ method, path, operation, pathItem, parameters }, resolver) {
+  const spec = resolver.root;
+  const headers = [];
+  const query = [];
+  const cookies = [];
+  let filledPath = path;
+
+  // Optional parameters are documented on the page; examples stay minimal
+  for (const param of parameters.filter(param => param.required || param.in === 'path')) {
+    const explicit = explicitParameterValue(param, resolver);
+    const value = explicit !== undefined ? explicit : sampleValue(param.schema || {}, resolver);
+    switch (param.in) {
+      case 'path':
+        filledPath = filledPath.replace(`{${param.name}}`, encodePathValue(value));
+        break;
+      case 'query':
+        for (const item of [].concat(value)) {
+          query.push([param.name, stringValue(item)]);
+        }
+        break;
+      case 'header':
+        headers.push([param.name, stringValue(value)]);
+        break;
+      case 'cookie':
+        cookies.push(`${param.name}=${stringValue(value)}`);
+        break;
+    }
+  }
+
+  const security = operation.security || spec.security || [];
+  const basicAuth = applySecurity(security[0] || {}, spec.components?.securitySchemes || {}, { headers, query, cookies });
+
+  if (cookies.length > 0) {
+    headers.push(['Cookie', cookies.join('; ')]);
+  }
+
+  const body = requestBodyExample(operation.requestBody, resolver);
+  if (body && body.mediaType !== 'multipart/form-data') {
+    headers.push(['Content-Type', body.mediaType]);
+  }
+
+  const server = serverUrl(operation.servers || pathItem.servers || spec.servers);
+  const queryString = query.length > 0 ? `?${new URLSearchParams(query)}` : '';
+
+  return {
+    method: method.toUpperCase(),
+    url: `${server.replace(/\/$/, '')}${filledPath}${queryString}`,
+    headers,
+    basicAuth,
+    body
+  };
+}
+
+/**
+ * Add the credentials for one security requirement to the request
+ * @param {Record<string, string[]>} requirement - Scheme names of one alternative
+ * @param {Record<string, Object>} schemes - `components.securitySchemes`
+ * @param {{headers: Array<[string, string]>, query: Array<[string, string]>, cookies: string[]}} request - Updated in place
+ * @returns {string|null} `user:password` if the requirement uses HTTP basic auth
+ */
+function applySecurity(requirement, schemes, { headers, query, cookies }) {
+  let basicAuth = null;
+
+  for (const name of Object.keys(requirement)) {
+    const scheme = schemes[name];
+    if (!scheme) continue;
+
+    if (scheme.type === 'http' && scheme.scheme?.toLowerCase() === 'basic') {
+      basicAuth = 'username:password';
+    } else if (scheme.type === 'http' || scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+      headers.push(['Authorization', 'Bearer YOUR_TOKEN']);
+    } else if (scheme.type === 'apiKey') {
+      const placeholder = scheme.in === 'cookie' ? 'YOUR_SESSION_ID' : 'YOUR_API_KEY';
+      if (scheme.in === 'query') query.push([scheme.name, placeholder]);
+      else if (scheme.in === 'header') headers.push([scheme.name, placeholder]);
+      else if (scheme.in === 'cookie') cookies.push(`${scheme.name}=${placeholder}`);
+    }
+  }
+
+  return basicAuth;
+}
+
+/**
+ * Example value declared on a parameter itself, rather than its schema
+ * @param {Object} param
+ * @param {import('./openapi-resolver.js').OpenAPIResolver} resolver
+ * @returns {*} Undefined if none is declared
+ */
+function explicitParameterValue(param, resolver) {
+  if (param.example !== undefined) {
+    return param.example;
+  }
+  if (param.examples) {
+    const first = Object.values(param.examples)[0];
+    return resolver.resolve(first).value?.value;
+  }
+  return undefined;
+}
+
+/**
+ * Example, default, const or first enum value of a schema
+ * @param {Object} schema
+ * @returns {*} Undefined if the schema declares none
+ */
+function explicitValue(schema) {
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length > 0) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+  return undefined;
+}
+
+/**
+ * Example body for a request body
+ * The body is generated from the schema with only required properties. If
+ * that leaves an empty object, an example declared on the media type is used
+ * instead, since it shows a more useful call.
+ * @param {Object} [requestBodyNode]
+ * @param {import('./openapi-resolver.js').OpenAPIResolver} resolver
+ * @returns {{mediaType: string, value: *}|null}
+ */
+function requestBodyExample(requestBodyNode, resolver) {
+  const { value: requestBody } = resolver.resolve(requestBodyNode);
+  const content = requestBody?.content;
+  if (!content || Object.keys(content).length === 0) {
+    return null;
+  }
+
+  const mediaType = PREFERRED_MEDIA_TYPES.find(type => type in content) || Object.keys(content)[0];
+  const media = content[mediaType];
+  let value = media.schema ? sampleValue(media.schema, resolver) : undefined;
+
+  const isEmpty = value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0;
+  if (value === undefined || isEmpty) {
+    const declared = media.example !== undefined
+      ? media.example
+      : media.examples && resolver.resolve(Object.values(media.examples)[0]).value?.value;
+    if (declared !== undefined && declared !== null) {
+      value = declared;
+    }
+  }
+
+  return value === undefined ? null : { mediaType, value };
+}
+
+/**
+ * Generate a minimal valid value for a schema
+ * @param {Object} node - Schema, possibly a `$ref`
+ * @param {import('./openapi-resolver.js').OpenAPIResolver} resolver
+ * @param {Set<string>} [seen] - References being generated further up, to stop cycles
+ * @param {number} [depth]
+ * @returns {*}
+ */
+function sampleValue(node, resolver, seen = new Set(), depth = 0) {
+  const resolved = resolver.resolve(node);
+  if (!resolved.value || typeof resolved.value !== 'object' ||
+    depth > MAX_SAMPLE_DEPTH || (resolved.ref && seen.has(resolved.ref))) {
+    return null;
+  }
+
+  const path = resolved.ref ? new Set(seen).add(resolved.ref) : seen;
+  const schema = mergeAllOf(resolved.value, resolver, path);
+
+  const explicit = explicitValue(schema);
+  if (explicit !== undefined) {
+    return explicit;
+  }
+
+  const variant = schema.oneOf?.[0] || schema.anyOf?.[0];
+  if (variant) {
+    return sampleValue(variant, resolver, path, depth + 1);
+  }
+
+  const types = [].concat(schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'string'));
+  switch (types.find(type => type !== 'null') || 'null') {
+    case 'object':
+      return Object.fromEntries(
+        (schema.required || [])
+          .filter(name => schema.properties?.[name])
+          .map(name => [name, sampleValue(schema.properties[name], resolver, path, depth + 1)])
+      );
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => sampleValue(schema.items, resolver, path, depth + 1));
+    case 'integer':
+    case 'number':
+      return typeof schema.minimum === 'number' ? schema.minimum : 1;
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      if (schema.format === 'binary' || schema.format === 'byte') return FILE;
+      return FORMAT_SAMPLES[schema.format] || 'string';
+  }
+}
+
+/**
+ * First server URL with its variables set to their defaults
+ * @param {Object[]} [servers]
+ * @returns {string}
+ */
+function serverUrl(servers) {
+  const server = servers?.[0];
+  if (!server?.url) {
+    return DEFAULT_SERVER_URL;
+  }
+
+  const url = server.url.replace(/\{([^}]+)\}/g, (match, name) => server.variables?.[name]?.default ?? match);
+  return /^https?:\/\//.test(url) ? url : `${DEFAULT_SERVER_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+/**
+ * Render a request as a curl command
+ * @param {ExampleRequest} request
+ * @returns {string}
+ */
+function toCurl({ method, url, headers, basicAuth, body }) {
+  const parts = [method === 'GET' ? `curl ${shellQuote(url)}` : `curl -X ${method} ${shellQuote(url)}`];
+
+  if (basicAuth) {
+    parts.push(`-u ${shellQuote(basicAuth)}`);
+  }
+  for (const [name, value] of headers) {
+    parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+  }
+
+  if (body?.mediaType === 'multipart/form-data') {
+    for (const [name, value] of Object.entries(body.value || {})) {
+      parts.push(`-F ${shellQuote(value === FILE ? `${name}=@./${name}` : `${name}=${stringValue(value)}`)}`);
+    }
+  } else if (body?.mediaType === 'application/x-www-form-urlencoded') {
+    for (const [name, value] of Object.entries(body.value || {})) {
+      parts.push(`--data-urlencode ${shellQuote(`${name}=${stringValue(value)}`)}`);
+    }
+  } else if (body) {
+    parts.push(`-d ${shellQuote(bodyText(body.value))}`);
+  }
+
+  return parts.join(' \\\n  ');
+}
+
+/**
+ * Render a request as an ESM `fetch` snippet
+ * @param {ExampleRequest} request
+ * @returns {string}
+ */
+function toFetch({ method, url, headers, basicAuth, body }) {
+  const lines = [];
+  const options = [];
+  const allHeaders = basicAuth
+    ? [['Authorization', `Basic \${btoa(${jsString(basicAuth)})}`], ...headers]
+    : headers;
+
+  if (method !== 'GET') {
+    options.push(`method: ${jsString(method)}`);
+  }
+
+  if (allHeaders.length > 0) {
+    const entries = allHeaders.map(([name, value]) => {
+      const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : jsString(name);
+      const text = value.includes('${') ? `\`${value}\`` : jsString(value);
+      return `    ${key}: ${text}`;
+    });
+    options.push(`headers: {\n${entries.join(',\n')}\n  }`);
+  }
+
+  if (body?.mediaType === 'multipart/form-data') {
+    const fields = Object.entries(body.value || {});
+    if (fields.some(([, value]) => value === FILE)) {
+      lines.push("import { openAsBlob } from 'node:fs';", '');
+    }
+    lines.push('const form = new FormData();');
+    for (const [name, value] of fields) {
+      lines.push(value === FILE
+        ? `form.append(${jsString(name)}, await openAsBlob(${jsString(`./${name}`)}), ${jsString(name)});`
+        : `form.append(${jsString(name)}, ${jsString(stringValue(value))});`);
+    }
+    lines.push('');
+    options.push('body: form');
+  } else if (body?.mediaType === 'application/x-www-form-urlencoded') {
+    options.push(`body: new URLSearchParams(${jsLiteral(body.value, '  ')})`);
+  } else if (body) {
+    const text = typeof body.value === 'string' ? jsString(body.value) : `JSON.stringify(${jsLiteral(body.value, '  ')})`;
+    options.push(`body: ${text}`);
+  }
+
+  const call = options.length > 0
+    ? `await fetch(${jsString(url)}, {\n  ${options.join(',\n  ')}\n})`
+    : `await fetch(${jsString(url)})`;
+
+  lines.push(
+    `const response = ${call};`,
+    'const data = await response.json();',
+    'console.log(data);'
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Serialize a body value
+ * @param {*} value
+ * @returns {string}
+ */
+function bodyText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Encode a path parameter, keeping `:` and `@` readable
+ * @param {*} value
+ * @returns {string}
+ */
+function encodePathValue(value) {
+  return encodeURIComponent(stringValue(value)).replace(/%3A/gi, ':').replace(/%40/g, '@');
+}
+
+/**
+ * Convert a parameter value to its string form
+ * @param {*} value
+ * @returns {string}
+ */
+function stringValue(value) {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Quote a string for a POSIX shell
+ * @param {string} text
+ * @returns {string}
+ */
+function shellQuote(text) {
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Quote a string as a JavaScript literal
+ * @param {string} text
+ * @returns {string}
+ */
+function jsString(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Format a JSON value as a JavaScript literal
+ * @param {*} value
+ * @param {string} [indent] - Indentation of the line the literal starts on
+ * @returns {string}
+ */
+function jsLiteral(value, indent = '') {
+  const inner = `${indent}  `;
+
+  if (Array.isArray(value)) {
+    return value.length === 0
+      ? '[]'
+      : `[\n${value.map(item => inner + jsLiteral(item, inner)).join(',\n')}\n${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    return entries.length === 0
+      ? '{}'
+      : `{\n${entries.map(([key, item]) => {
+        const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : jsString(key);
+        return `${inner}${name}: ${jsLiteral(item, inner)}`;
+      }).join(',\n')}\n${indent}}`;
+  }
+  return typeof value === 'string' ? jsString(value) : JSON.stringify(value);
+}
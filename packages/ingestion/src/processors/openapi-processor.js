@@ -1,71 +1,77 @@
 /**
  * @fileoverview OpenAPI specification processor for ingestion
- * Processes OpenAPI 3.x spec files into Weaviate documents
+ * Processes OpenAPI 3.x spec files into Weaviate documents. `$ref`s are
+ * resolved (including external files), `allOf` is merged, `oneOf`/`anyOf`
+ * variants and nested properties are rendered down to `maxSchemaDepth`.
+ * Operation pages include generated curl and fetch request examples, and
+ * carry their method, path, operationId and tags for exact endpoint lookup.
  */
 
-import { readFile } from 'fs/promises';
-import yaml from 'js-yaml';
 import { createLogger } from '@apos-chatbot/shared';
+import { mergeAllOf, OpenAPIResolver } from './openapi-resolver.js';
+import { createRequestExamples } from './openapi-examples.js';
 
 const logger = createLogger('OpenAPIProcessor');
 
+/** HTTP methods that are operations in a path item */
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'trace'];
+
+/** Longest example rendered inline before it is truncated */
+const MAX_INLINE_EXAMPLE = 120;
+
+/** Longest example rendered as a code block before it is truncated */
+const MAX_BLOCK_EXAMPLE = 1500;
+
+/** Media type examples rendered per request body or response */
+const MAX_MEDIA_EXAMPLES = 2;
+
+/**
+ * Options for processing a spec
+ * @typedef {Object} OpenAPIOptions
+ * @property {number} [maxSchemaDepth] - Levels of nested schemas rendered inline; deeper named schemas are referred to by name
+ * @property {string} [baseUrl] - Public URL the pages link to, defaults to `source`; needed for local spec files
+ */
+
 /**
  * Fetch and process OpenAPI spec
  * @param {string} source - File path or URL to OpenAPI spec
+ * @param {OpenAPIOptions} [options]
  * @returns {Promise<import('@apos-chatbot/shared').ScrapedPage[]>}
  */
-export async function processOpenAPISpec(source) {
+export async function processOpenAPISpec(source, { maxSchemaDepth = 3, baseUrl = source } = {}) {
   logger.info(`Processing OpenAPI spec from: ${source}`);
 
-  let specContent;
-  
-  // Fetch from URL or read from file
-  if (source.startsWith('http://') || source.startsWith('https://')) {
-    const response = await fetch(source);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch OpenAPI spec: ${response.status}`);
-    }
-    specContent = await response.text();
-  } else {
-    specContent = await readFile(source, 'utf-8');
-  }
-
-  // Parse JSON or YAML
-  let spec;
-  try {
-    // Try JSON first
-    spec = JSON.parse(specContent);
-  } catch (jsonError) {
-    // If JSON fails, try YAML
-    try {
-      spec = yaml.load(specContent);
-      logger.info('Successfully parsed YAML spec');
-    } catch (yamlError) {
-      logger.error('Failed to parse spec as JSON or YAML', { jsonError, yamlError });
-      throw new Error('OpenAPI spec must be valid JSON or YAML');
-    }
+  const resolver = await OpenAPIResolver.load(source);
+  const spec = resolver.root;
+  if (!spec || typeof spec !== 'object') {
+    throw new Error('OpenAPI spec must be a JSON or YAML object');
   }
 
   logger.info(`Parsed OpenAPI spec: ${spec.info?.title || 'Unknown'} v${spec.info?.version || 'Unknown'}`);
 
+  const renderer = { resolver, maxDepth: maxSchemaDepth, inlineNamed: true };
+
   // Extract documentation pages
   const pages = [];
 
   // 1. Overview page from spec info
   if (spec.info) {
-    pages.push(createInfoPage(spec.info, source));
+    pages.push(createInfoPage(spec.info, baseUrl));
   }
 
   // 2. Pages for each endpoint/operation
   if (spec.paths) {
-    for (const [path, pathItem] of Object.entries(spec.paths)) {
+    for (const [path, pathItemNode] of Object.entries(spec.paths)) {
+      const { value: pathItem } = resolver.resolve(pathItemNode);
+      if (!pathItem) continue;
+
       for (const [method, operation] of Object.entries(pathItem)) {
         // Skip non-operation keys like $ref, servers, parameters
-        if (!['get', 'post', 'put', 'patch', 'delete', 'options', 'head'].includes(method)) {
+        if (!HTTP_METHODS.includes(method)) {
           continue;
         }
 
-        pages.push(createOperationPage(path, method, operation, spec, source));
+        pages.push(createOperationPage(path, method, operation, pathItem, renderer, baseUrl));
       }
     }
   }
@@ -73,7 +79,7 @@ export async function processOpenAPISpec(source) {
   // 3. Pages for schemas/components (if significant)
   if (spec.components?.schemas) {
     for (const [schemaName, schema] of Object.entries(spec.components.schemas)) {
-      pages.push(createSchemaPage(schemaName, schema, source));
+      pages.push(createSchemaPage(schemaName, schema, renderer, baseUrl));
     }
   }
 
@@ -84,10 +90,10 @@ export async function processOpenAPISpec(source) {
 /**
  * Create overview page from OpenAPI info
  * @param {Object} info - OpenAPI info object
- * @param {string} source - Source URL/path
+ * @param {string} baseUrl - Public URL the page links to
  * @returns {import('@apos-chatbot/shared').ScrapedPage}
  */
-function createInfoPage(info, source) {
+function createInfoPage(info, baseUrl) {
   const content = `
 # ${info.title || 'API Documentation'}
 
@@ -112,7 +118,7 @@ ${info.license.url ? `- ${info.license.url}` : ''}
 `.trim();
 
   return {
-    url: `${source}#info`,
+    url: `${baseUrl}#info`,
     title: `${info.title || 'API'} - Overview`,
     content,
     links: [],
@@ -124,18 +130,39 @@ ${info.license.url ? `- ${info.license.url}` : ''}
   };
 }
 
+
+/**
+ * Schema rendering settings
+ * @typedef {Object} Renderer
+ * @property {OpenAPIResolver} resolver
+ * @property {number} maxDepth - Levels of nested schemas rendered inline
+ * @property {boolean} inlineNamed - Whether nested named schemas are expanded, or only referred to by name
+ */
+
+/**
+ * A schema described for rendering
+ * @typedef {Object} SchemaDescription
+ * @property {Object} schema - Resolved schema with `allOf` merged
+ * @property {string} type - Type label, e.g. "`string` (date-time)" or "`AreaOptions` (object)"
+ * @property {string} description - First paragraph of the description
+ * @property {string[]} notes - Allowed values, defaults, examples and constraints
+ * @property {string[]} children - Markdown list lines for properties, items and variants
+ */
+
 /**
  * Create page for an API operation
  * @param {string} path - API path
  * @param {string} method - HTTP method
  * @param {Object} operation - OpenAPI operation object
- * @param {Object} spec - Full OpenAPI spec
- * @param {string} source - Source URL/path
+ * @param {Object} pathItem - Path item holding the operation, for shared parameters
+ * @param {Renderer} renderer
+ * @param {string} baseUrl - Public URL the page links to
  * @returns {import('@apos-chatbot/shared').ScrapedPage}
  */
-function createOperationPage(path, method, operation, spec, source) {
+function createOperationPage(path, method, operation, pathItem, renderer, baseUrl) {
+  const { resolver } = renderer;
   const title = operation.summary || `${method.toUpperCase()} ${path}`;
-  
+
   let content = `# ${title}
 
 **Endpoint:** \`${method.toUpperCase()} ${path}\`
@@ -148,64 +175,59 @@ ${operation.tags ? `**Tags:** ${operation.tags.join(', ')}` : ''}
 `;
 
   // Parameters
-  if (operation.parameters && operation.parameters.length > 0) {
+  const parameters = collectParameters(pathItem.parameters, operation.parameters, resolver);
+  if (parameters.length > 0) {
     content += '\n## Parameters\n\n';
-    for (const param of operation.parameters) {
-      const required = param.required ? ' (required)' : ' (optional)';
-      content += `- **${param.name}**${required} (${param.in}): ${param.description || 'No description'}\n`;
-      
-      if (param.schema) {
-        content += `  - Type: \`${param.schema.type || 'any'}\`\n`;
-        if (param.schema.enum) {
-          content += `  - Allowed values: ${param.schema.enum.join(', ')}\n`;
-        }
-      }
+    for (const param of parameters) {
+      content += formatParameter(param, renderer);
     }
   }
 
   // Request body
   if (operation.requestBody) {
+    const { value: requestBody } = resolver.resolve(operation.requestBody);
     content += '\n## Request Body\n\n';
-    content += operation.requestBody.description || '';
-    
-    if (operation.requestBody.content) {
-      for (const [mediaType, mediaTypeObj] of Object.entries(operation.requestBody.content)) {
-        content += `\n\n**Content-Type:** \`${mediaType}\`\n`;
-        if (mediaTypeObj.schema) {
-          content += formatSchema(mediaTypeObj.schema, spec);
-        }
-      }
+
+    if (requestBody) {
+      content += [requestBody.required && '**Required.**', requestBody.description]
+        .filter(Boolean)
+        .join(' ');
+      content += formatContent(requestBody.content, renderer);
     }
   }
 
+  // Request examples
+  const examples = createRequestExamples({ method, path, operation, pathItem, parameters }, resolver);
+  content += `\n## Example Request\n\n\`\`\`bash\n${examples.curl}\n\`\`\`\n\n\`\`\`javascript\n${examples.fetch}\n\`\`\`\n`;
+
   // Responses
   if (operation.responses) {
     content += '\n## Responses\n\n';
-    for (const [statusCode, response] of Object.entries(operation.responses)) {
+    for (const [statusCode, responseNode] of Object.entries(operation.responses)) {
+      const { value: response } = resolver.resolve(responseNode);
       content += `### ${statusCode}\n\n`;
-      content += response.description || 'No description';
-      
-      if (response.content) {
-        for (const [mediaType, mediaTypeObj] of Object.entries(response.content)) {
-          content += `\n\n**Content-Type:** \`${mediaType}\`\n`;
-          if (mediaTypeObj.schema) {
-            content += formatSchema(mediaTypeObj.schema, spec);
-          }
-        }
-      }
+      content += response?.description || 'No description';
+      content += formatContent(response?.content, renderer);
       content += '\n\n';
     }
   }
 
   return {
-    url: `${source}#${method}-${path.replace(/\//g, '-')}`,
+    url: `${baseUrl}#${method}-${path.replace(/\//g, '-')}`,
     title,
     content: content.trim(),
     links: [],
     metadata: {
       description: operation.description || operation.summary || '',
-      headings: ['Parameters', 'Request Body', 'Responses'].filter(Boolean),
-      scrapedAt: new Date()
+      headings: ['Parameters', 'Request Body', 'Example Request', 'Responses'].filter(Boolean),
+      scrapedAt: new Date(),
+      operation: {
+        method: method.toUpperCase(),
+        path,
+        operationId: operation.operationId,
+        tags: operation.tags || [],
+        deprecated: Boolean(operation.deprecated)
+      }
     }
   };
 }
@@ -214,80 +236,396 @@ ${operation.tags ? `**Tags:** ${operation.tags.join(', ')}` : ''}
  * Create page for a schema definition
  * @param {string} schemaName - Schema name
  * @param {Object} schema - OpenAPI schema object
- * @param {string} source - Source URL/path
+ * @param {Renderer} renderer
+ * @param {string} baseUrl - Public URL the page links to
  * @returns {import('@apos-chatbot/shared').ScrapedPage}
  */
-function createSchemaPage(schemaName, schema, source) {
+function createSchemaPage(schemaName, schema, renderer, baseUrl) {
+  // Describe through a reference so self-references are detected as cycles.
+  // Other named schemas have pages of their own and are only referred to.
+  const pointer = schemaName.replace(/~/g, '~0').replace(/\//g, '~1');
+  const described = describeSchema(
+    { $ref: `#/components/schemas/${pointer}` },
+    { ...renderer, inlineNamed: false },
+    0,
+    new Set()
+  );
+  const resolved = described.schema || schema;
+
   let content = `# Schema: ${schemaName}
 
-${schema.description || ''}
+${resolved.description || ''}
 
-${schema.type ? `**Type:** \`${schema.type}\`` : ''}
+**Type:** ${described.type}
 `;
 
-  if (schema.properties) {
-    content += '\n## Properties\n\n';
-    for (const [propName, propSchema] of Object.entries(schema.properties)) {
-      const required = schema.required?.includes(propName) ? ' (required)' : ' (optional)';
-      content += `- **${propName}**${required}: ${propSchema.description || 'No description'}\n`;
-      content += `  - Type: \`${propSchema.type || 'any'}\`\n`;
-      
-      if (propSchema.enum) {
-        content += `  - Allowed values: ${propSchema.enum.join(', ')}\n`;
-      }
-      if (propSchema.format) {
-        content += `  - Format: \`${propSchema.format}\`\n`;
-      }
-    }
+  if (described.notes.length > 0) {
+    content += '\n' + described.notes.map(note => `- ${note}`).join('\n') + '\n';
   }
 
-  if (schema.enum) {
-    content += `\n## Allowed Values\n\n${schema.enum.join(', ')}`;
+  if (described.children.length > 0) {
+    content += resolved.properties ? '\n## Properties\n\n' : '\n## Structure\n\n';
+    content += described.children.join('\n') + '\n';
+  }
+
+  const example = resolved.example !== undefined ? resolved.example : resolved.examples?.[0];
+  if (example !== undefined) {
+    content += `\n## Example\n\n\`\`\`json\n${blockValue(example)}\n\`\`\`\n`;
   }
 
   return {
-    url: `${source}#schema-${schemaName}`,
+    url: `${baseUrl}#schema-${schemaName}`,
     title: `Schema: ${schemaName}`,
     content: content.trim(),
     links: [],
     metadata: {
-      description: schema.description || '',
-      headings: ['Properties', 'Allowed Values'].filter(Boolean),
+      description: resolved.description || '',
+      headings: ['Properties', 'Structure', 'Example'].filter(Boolean),
       scrapedAt: new Date()
     }
   };
 }
 
+/**
+ * Resolve path-level and operation parameters
+ * Operation parameters override path-level ones with the same name and location.
+ * @param {Object[]} [pathParameters]
+ * @param {Object[]} [operationParameters]
+ * @param {OpenAPIResolver} resolver
+ * @returns {Object[]}
+ */
+function collectParameters(pathParameters = [], operationParameters = [], resolver) {
+  const parameters = new Map();
+
+  for (const node of [...pathParameters, ...operationParameters]) {
+    const { value: param, error, ref } = resolver.resolve(node);
+    if (!param) {
+      logger.warn(`Skipping unresolved parameter ${ref}: ${error}`);
+      continue;
+    }
+    parameters.set(`${param.in}:${param.name}`, param);
+  }
+
+  return [...parameters.values()];
+}
+
+/**
+ * Format a parameter as a list item
+ * @param {Object} param - Resolved parameter object
+ * @param {Renderer} renderer
+ * @returns {string}
+ */
+function formatParameter(param, renderer) {
+  const required = param.required ? ' (required)' : ' (optional)';
+  let output = `- **${param.name}**${required} (${param.in}): ${inlineText(param.description) || 'No description'}\n`;
+
+  if (param.schema) {
+    const described = describeSchema(param.schema, renderer, 1, new Set());
+    output += `  - Type: ${described.type}\n`;
+    output += [...described.notes.map(note => `- ${note}`), ...described.children]
+      .map(line => `  ${line}\n`)
+      .join('');
+  }
+
+  if (param.example !== undefined) {
+    output += `  - Example: ${inlineValue(param.example)}\n`;
+  }
+
+  return output;
+}
+
+/**
+ * Format the media types of a request body or response
+ * @param {Record<string, Object>} [content] - Media type objects by media type
+ * @param {Renderer} renderer
+ * @returns {string}
+ */
+function formatContent(content, renderer) {
+  let output = '';
+
+  for (const [mediaType, mediaTypeObj] of Object.entries(content || {})) {
+    output += `\n\n**Content-Type:** \`${mediaType}\`\n`;
+    if (mediaTypeObj.schema) {
+      output += '\n' + formatSchema(mediaTypeObj.schema, renderer);
+    }
+    output += formatMediaExamples(mediaTypeObj, renderer.resolver);
+  }
+
+  return output && `${output}\n`;
+}
+
+/**
+ * Format the examples of a media type as code blocks
+ * @param {Object} mediaTypeObj
+ * @param {OpenAPIResolver} resolver
+ * @returns {string}
+ */
+function formatMediaExamples(mediaTypeObj, resolver) {
+  const examples = mediaTypeObj.examples
+    ? Object.values(mediaTypeObj.examples).map(node => resolver.resolve(node).value || {})
+    : [{ value: mediaTypeObj.example }];
+
+  return examples
+    .filter(example => example.value !== undefined)
+    .slice(0, MAX_MEDIA_EXAMPLES)
+    .map(example => `\n\n**Example${example.summary ? `: ${example.summary}` : ''}**\n\n\`\`\`json\n${blockValue(example.value)}\n\`\`\``)
+    .join('');
+}
+
 /**
  * Format schema for display
  * @param {Object} schema - OpenAPI schema object
- * @param {Object} spec - Full spec for resolving $refs
+ * @param {Renderer} renderer
  * @returns {string}
  */
-function formatSchema(schema, spec) {
-  if (schema.$ref) {
-    const refPath = schema.$ref.replace('#/', '').split('/');
-    const refSchema = refPath.reduce((obj, key) => obj[key], spec);
-    return formatSchema(refSchema, spec);
+function formatSchema(schema, renderer) {
+  const described = describeSchema(schema, renderer, 0, new Set());
+
+  const lines = [`Type: ${described.type}`];
+  if (described.description) {
+    lines.push('', described.description);
+  }
+  if (described.notes.length > 0 || described.children.length > 0) {
+    lines.push('', ...described.notes.map(note => `- ${note}`), ...described.children);
   }
 
-  let output = '';
-  
-  if (schema.type) {
-    output += `Type: \`${schema.type}\`\n`;
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Describe a schema and, down to the depth limit, its nested schemas
+ * @param {Object|boolean} node - Schema, possibly a `$ref`
+ * @param {Renderer} renderer
+ * @param {number} depth - Nesting level of this schema
+ * @param {Set<string>} seen - References being rendered further up, to stop cycles
+ * @returns {SchemaDescription}
+ */
+function describeSchema(node, renderer, depth, seen) {
+  const { resolver, maxDepth } = renderer;
+  const resolved = resolver.resolve(node);
+  const name = resolved.name;
+
+  if (resolved.error) {
+    return { schema: null, type: `\`${name || 'unknown'}\``, description: '', notes: [`Unresolved reference: ${resolved.error}`], children: [] };
+  }
+  if (resolved.ref && seen.has(resolved.ref)) {
+    return { schema: null, type: `\`${name}\``, description: '', notes: [`Recursive reference to \`${name}\``], children: [] };
+  }
+  if (typeof resolved.value === 'boolean' || !resolved.value) {
+    return { schema: null, type: resolved.value === false ? '`never`' : '`any`', description: '', notes: [], children: [] };
+  }
+
+  const path = resolved.ref ? new Set(seen).add(resolved.ref) : seen;
+  const schema = mergeAllOf(resolved.value, resolver, path);
+  const type = typeLabel(schema, name, resolver);
+  const notes = schemaNotes(schema);
+  let children = [];
+
+  if (depth < maxDepth && (depth === 0 || !name || renderer.inlineNamed)) {
+    children = schemaChildren(schema, renderer, depth, path);
+  } else if (hasNestedSchemas(schema)) {
+    notes.push(name ? `See Schema: ${name}` : 'Nested fields not shown');
   }
 
-  if (schema.properties) {
-    output += '\nProperties:\n';
-    for (const [propName, propSchema] of Object.entries(schema.properties)) {
-      output += `- \`${propName}\` (${propSchema.type || 'any'}): ${propSchema.description || ''}\n`;
+  return { schema, type, description: inlineText(schema.description), notes, children };
+}
+
+/**
+ * Type label of a schema, e.g. "`array of string`", "`string` (date-time)", "`Page` (object)"
+ * @param {Object} schema - Schema with `allOf` merged
+ * @param {string|null} name - Name of the referenced schema
+ * @param {OpenAPIResolver} resolver
+ * @returns {string}
+ */
+function typeLabel(schema, name, resolver) {
+  let types = [].concat(schema.type || []);
+
+  if (types.length === 0) {
+    if (schema.oneOf) types = [`one of ${schema.oneOf.length} types`];
+    else if (schema.anyOf) types = [`any of ${schema.anyOf.length} types`];
+    else if (schema.properties) types = ['object'];
+    else if (schema.items) types = ['array'];
+    else if (schema.const !== undefined) types = [typeof schema.const];
+    else types = ['any'];
+  }
+  if (schema.nullable) {
+    types.push('null');
+  }
+
+  const type = types.map(type => {
+    if (type === 'array' && schema.items) {
+      const items = resolver.resolve(schema.items);
+      return `array of ${items.name || [].concat(items.value?.type || 'any').join(' | ')}`;
     }
+    return type;
+  }).join(' | ');
+
+  if (name) {
+    return `\`${name}\` (${[type, schema.format].filter(Boolean).join(', ')})`;
   }
+  return `\`${type}\`${schema.format ? ` (${schema.format})` : ''}`;
+}
 
-  if (schema.items) {
-    output += '\nArray items:\n';
-    output += formatSchema(schema.items, spec);
+/**
+ * Notes on a schema: composition, allowed values, defaults, examples and constraints
+ * @param {Object} schema - Schema with `allOf` merged
+ * @returns {string[]}
+ */
+function schemaNotes(schema) {
+  const notes = [];
+
+  if (schema.composedOf) {
+    notes.push(`Includes: ${schema.composedOf.map(name => `\`${name}\``).join(', ')}`);
+  }
+  if (schema.deprecated) {
+    notes.push('Deprecated');
+  }
+  if (schema.readOnly) {
+    notes.push('Read-only');
+  }
+  if (schema.writeOnly) {
+    notes.push('Write-only');
+  }
+  if (schema.enum) {
+    notes.push(`Allowed values: ${schema.enum.map(inlineValue).join(', ')}`);
+  }
+  if (schema.const !== undefined) {
+    notes.push(`Value: ${inlineValue(schema.const)}`);
+  }
+  if (schema.default !== undefined) {
+    notes.push(`Default: ${inlineValue(schema.default)}`);
   }
 
-  return output;
+  const example = schema.example !== undefined ? schema.example : schema.examples?.[0];
+  if (example !== undefined) {
+    notes.push(`Example: ${inlineValue(example)}`);
+  }
+
+  const constraints = [
+    ['minimum', 'min'], ['maximum', 'max'],
+    ['exclusiveMinimum', 'greater than'], ['exclusiveMaximum', 'less than'],
+    ['minLength', 'min length'], ['maxLength', 'max length'],
+    ['minItems', 'min items'], ['maxItems', 'max items'],
+    ['pattern', 'pattern']
+  ]
+    .filter(([keyword]) => typeof schema[keyword] === 'number' || typeof schema[keyword] === 'string')
+    .map(([keyword, label]) => `${label} ${inlineValue(schema[keyword])}`);
+  if (schema.uniqueItems) constraints.push('unique items');
+  if (constraints.length > 0) {
+    notes.push(`Constraints: ${constraints.join(', ')}`);
+  }
+
+  if (schema.additionalProperties === false) {
+    notes.push('No additional properties');
+  } else if (schema.additionalProperties === true) {
+    notes.push('Additional properties allowed');
+  }
+  if (schema.discriminator?.propertyName) {
+    notes.push(`Discriminator: \`${schema.discriminator.propertyName}\``);
+  }
+
+  return notes;
+}
+
+/**
+ * Markdown list lines for the properties, items and variants of a schema
+ * @param {Object} schema - Schema with `allOf` merged
+ * @param {Renderer} renderer
+ * @param {number} depth - Nesting level of `schema`
+ * @param {Set<string>} seen
+ * @returns {string[]}
+ */
+function schemaChildren(schema, renderer, depth, seen) {
+  const lines = [];
+
+  /**
+   * Add a list item for a nested schema with its notes and children indented
+   * @param {string} label - Text before the type, e.g. "`name`"
+   * @param {Object} node
+   * @param {string} [suffix] - Appended to the type, e.g. ", required"
+   */
+  const addItem = (label, node, suffix = '') => {
+    const nested = describeSchema(node, renderer, depth + 1, seen);
+    lines.push(`- ${label} (${nested.type}${suffix})${nested.description ? `: ${nested.description}` : ''}`);
+    lines.push(...[...nested.notes.map(note => `- ${note}`), ...nested.children].map(line => `  ${line}`));
+  };
+
+  for (const [propName, propSchema] of Object.entries(schema.properties || {})) {
+    addItem(`\`${propName}\``, propSchema, schema.required?.includes(propName) ? ', required' : '');
+  }
+
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    addItem('Additional properties', schema.additionalProperties);
+  }
+
+  if (schema.items && hasNestedSchemas(renderer.resolver.resolve(schema.items).value)) {
+    addItem('Items', schema.items);
+  }
+
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (!Array.isArray(schema[keyword])) continue;
+
+    lines.push(keyword === 'oneOf' ? '- One of:' : '- Any of:');
+    schema[keyword].forEach((variant, index) => {
+      const before = lines.length;
+      addItem(`Option ${index + 1}`, variant);
+      for (let i = before; i < lines.length; i++) {
+        lines[i] = `  ${lines[i]}`;
+      }
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * Check whether a schema has properties, items or variants worth expanding
+ * @param {*} schema
+ * @returns {boolean}
+ */
+function hasNestedSchemas(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return false;
+  }
+  return Boolean(
+    (schema.properties && Object.keys(schema.properties).length > 0) ||
+    schema.allOf || schema.oneOf || schema.anyOf ||
+    (schema.additionalProperties && typeof schema.additionalProperties === 'object') ||
+    (schema.items && typeof schema.items === 'object' && (schema.items.$ref || hasNestedSchemas(schema.items)))
+  );
+}
+
+/**
+ * First paragraph of a description on one line
+ * @param {string} [text]
+ * @returns {string}
+ */
+function inlineText(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  return text.trim().split(/\n\s*\n/)[0].replace(/\s+/g, ' ');
+}
+
+/**
+ * Format a value for inline code
+ * @param {*} value
+ * @returns {string}
+ */
+function inlineValue(value) {
+  let text = typeof value === 'string' ? value : JSON.stringify(value);
+  if (text.length > MAX_INLINE_EXAMPLE) {
+    text = text.slice(0, MAX_INLINE_EXAMPLE) + '…';
+  }
+  return `\`${text.replace(/`/g, "'")}\``;
+}
+
+/**
+ * Format a value as a JSON code block body
+ * @param {*} value
+ * @returns {string}
+ */
+function blockValue(value) {
+  const text = JSON.stringify(value, null, 2);
+  return text.length > MAX_BLOCK_EXAMPLE ? `${text.slice(0, MAX_BLOCK_EXAMPLE)}\n…` : text;
 }
@@ -0,0 +1,316 @@
+/**
+ * @fileoverview `$ref` resolution for OpenAPI documents
+ * Loads a spec together with every external document it references, so
+ * references (`#/components/...`, `schemas.yaml#/Page`, `https://...`) resolve
+ * synchronously while rendering. References in external documents are
+ * rewritten to absolute form on load, so values can be resolved without
+ * knowing which document they came from. Also merges `allOf` schemas.
+ */
+
+import { readFile } from 'fs/promises';
+import { dirname, resolve as resolvePath } from 'path';
+import yaml from 'js-yaml';
+import { createLogger } from '@apos-chatbot/shared';
+
+const logger = createLogger('OpenAPIResolver');
+
+/** Longest chain of references to references that is followed */
+const MAX_REF_CHAIN = 20;
+
+/**
+ * A value after following `$ref`s
+ * @typedef {Object} Resolved
+ * @property {*} value - The referenced value, with any `$ref` sibling keywords applied; null if unresolvable
+ * @property {string|null} ref - Absolute reference followed last, e.g. `spec.yaml#/components/schemas/Page`
+ * @property {string|null} name - Last segment of the reference, e.g. `Page`
+ * @property {string} [error] - Why the reference could not be resolved
+ */
+
+/**
+ * OpenAPI document with its externally referenced documents
+ */
+export class OpenAPIResolver {
+  /**
+   * @param {string} location - File path or URL of the root document
+   * @param {Map<string, Object>} documents - Parsed documents by location
+   */
+  constructor(location, documents) {
+    this.location = location;
+    this.documents = documents;
+  }
+
+  /**
+   * Load a spec and every document it references, transitively
+   * @param {string} location - File path or URL
+   * @returns {Promise<OpenAPIResolver>}
+   */
+  static async load(location) {
+    const root = normalizeLocation(location);
+    const documents = new Map([[root, await loadDocument(root)]]);
+    const pending = [root];
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+      const refs = absolutizeRefs(documents.get(current), current, root);
+
+      for (const ref of refs) {
+        const [target] = ref.split('#');
+        if (!target || documents.has(target)) continue;
+
+        try {
+          documents.set(target, await loadDocument(target));
+          pending.push(target);
+        } catch (error) {
+          logger.warn(`Could not load referenced document ${target}: ${error.message}`);
+          documents.set(target, null);
+        }
+      }
+    }
+
+    if (documents.size > 1) {
+      logger.info(`Loaded ${documents.size - 1} referenced documents`);
+    }
+
+    return new OpenAPIResolver(root, documents);
+  }
+
+  /**
+   * The root document
+   * @returns {Object}
+   */
+  get root() {
+    return this.documents.get(this.location);
+  }
+
+  /**
+   * Follow `$ref`s until reaching a value that is not a reference
+   * Keywords next to a `$ref` (OpenAPI 3.1 allows e.g. `description`) are
+   * applied over the referenced value.
+   * @param {*} node - Value that may be a `{$ref}` object
+   * @returns {Resolved}
+   */
+  resolve(node) {
+    let current = node;
+    let ref = null;
+    let siblings = {};
+    const chain = new Set();
+
+    while (current && typeof current.$ref === 'string') {
+      const { $ref, ...rest } = current;
+      siblings = { ...rest, ...siblings };
+
+      const [file, pointer = ''] = $ref.split('#');
+      const location = file || this.location;
+      ref = `${location}#${pointer}`;
+
+      if (chain.has(ref) || chain.size >= MAX_REF_CHAIN) {
+        return { value: null, ref, name: refName(ref), error: 'circular reference' };
+      }
+      chain.add(ref);
+
+      const document = this.documents.get(location);
+      if (!document) {
+        return { value: null, ref, name: refName(ref), error: `document ${location} not loaded` };
+      }
+
+      current = getPointer(document, pointer);
+      if (current === undefined) {
+        return { value: null, ref, name: refName(ref), error: `${$ref} not found` };
+      }
+    }
+
+    const value = Object.keys(siblings).length > 0 && current && typeof current === 'object'
+      ? { ...current, ...siblings }
+      : current;
+
+    return { value, ref, name: ref ? refName(ref) : null };
+  }
+}
+
+/**
+ * Merge `allOf` parts into one schema
+ * Properties and `required` are combined; other keywords from later parts,
+ * and from the schema itself, win.
+ * @param {Object} schema
+ * @param {OpenAPIResolver} resolver
+ * @param {Set<string>} seen - References being expanded further up, to stop cycles
+ * @returns {Object} Schema without `allOf`; `composedOf` lists the named parts
+ */
+export function mergeAllOf(schema, resolver, seen) {
+  if (!Array.isArray(schema.allOf)) {
+    return schema;
+  }
+
+  const { allOf, ...own } = schema;
+  const merged = { properties: {}, required: [], composedOf: [] };
+
+  for (const part of allOf) {
+    const resolved = resolver.resolve(part);
+    if (!resolved.value || typeof resolved.value !== 'object' || (resolved.ref && seen.has(resolved.ref))) {
+      continue;
+    }
+
+    const partPath = resolved.ref ? new Set(seen).add(resolved.ref) : seen;
+    if (resolved.name) {
+      merged.composedOf.push(resolved.name);
+    }
+    mergeSchemaInto(merged, mergeAllOf(resolved.value, resolver, partPath));
+  }
+  mergeSchemaInto(merged, own);
+
+  if (Object.keys(merged.properties).length === 0) delete merged.properties;
+  if (merged.required.length === 0) delete merged.required;
+  if (merged.composedOf.length === 0) delete merged.composedOf;
+  if (!merged.type && merged.properties) merged.type = 'object';
+
+  return merged;
+}
+
+/**
+ * Merge one schema's keywords into another, in place
+ * @param {Object} target
+ * @param {Object} source
+ */
+function mergeSchemaInto(target, source) {
+  const { properties, required, composedOf, ...rest } = source;
+
+  Object.assign(target, rest);
+  Object.assign(target.properties, properties);
+  target.required = [...new Set([...target.required, ...(required || [])])];
+  target.composedOf.push(...(composedOf || []));
+}
+
+/**
+ * Read and parse a JSON or YAML document
+ * @param {string} location - File path or URL
+ * @returns {Promise<Object>}
+ */
+async function loadDocument(location) {
+  let text;
+
+  if (isUrl(location)) {
+    const response = await fetch(location);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${location}: ${response.status}`);
+    }
+    text = await response.text();
+  } else {
+    text = await readFile(location, 'utf-8');
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    try {
+      return yaml.load(text);
+    } catch (error) {
+      throw new Error(`${location} must be valid JSON or YAML: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Rewrite every `$ref` in a document to an absolute reference, in place
+ * References into the root document keep the short `#/...` form.
+ * @param {*} node
+ * @param {string} location - Location of the document containing `node`
+ * @param {string} root - Location of the root document
+ * @param {Set<string>} [refs] - Collects the rewritten references
+ * @returns {Set<string>}
+ */
+function absolutizeRefs(node, location, root, refs = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach(item => absolutizeRefs(item, location, root, refs));
+  } else if (node && typeof node === 'object') {
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '$ref' && typeof value === 'string') {
+        const [file, pointer = ''] = value.split('#');
+        const target = file ? resolveLocation(file, location) : location;
+        node.$ref = target === root ? `#${pointer}` : `${target}#${pointer}`;
+        refs.add(node.$ref);
+      } else {
+        absolutizeRefs(value, location, root, refs);
+      }
+    }
+  }
+  return refs;
+}
+
+/**
+ * Look up a JSON pointer such as `/components/schemas/Page`
+ * @param {Object} document
+ * @param {string} pointer
+ * @returns {*} Undefined if the pointer does not exist
+ */
+function getPointer(document, pointer) {
+  if (!pointer || pointer === '/') {
+    return document;
+  }
+
+  let value = document;
+  for (const segment of pointer.replace(/^\//, '').split('/')) {
+    const key = safeDecode(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (value === null || typeof value !== 'object' || !(key in value)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Resolve a referenced file against the referencing document's location
+ * @param {string} file
+ * @param {string} base
+ * @returns {string}
+ */
+function resolveLocation(file, base) {
+  if (isUrl(file)) {
+    return file;
+  }
+  if (isUrl(base)) {
+    return new URL(file, base).href;
+  }
+  return resolvePath(dirname(base), file);
+}
+
+/**
+ * Make a file location absolute so documents are identified consistently
+ * @param {string} location
+ * @returns {string}
+ */
+function normalizeLocation(location) {
+  return isUrl(location) ? location : resolvePath(location);
+}
+
+/**
+ * Last pointer segment of a reference
+ * @param {string} ref
+ * @returns {string}
+ */
+function refName(ref) {
+  const [file, pointer] = ref.split('#');
+  const segment = pointer ? pointer.split('/').pop() : file.split('/').pop();
+  return safeDecode(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * @param {string} location
+ * @returns {boolean}
+ */
+function isUrl(location) {
+  return location.startsWith('http://') || location.startsWith('https://');
+}
+
+/**
+ * Percent-decode a pointer segment, leaving malformed ones as they are
+ * @param {string} segment
+ * @returns {string}
+ */
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Page extraction from HTML
+ * Used for both statically fetched and Playwright-rendered pages, so a page
+ * gives the same content, links and metadata whichever way it was loaded.
+ */
+
+import * as cheerio from 'cheerio';
+import TurndownService from 'turndown';
+
+/** Navigation and page chrome removed before extraction */
+const CLEANUP_SELECTORS = [
+  '.VPSidebar', '.VPNav', '.VPLocalNav',
+  '.VPDocAside', '.VPDocFooter',
+  'nav', 'aside', 'header', 'footer',
+  '.header-anchor', '.feedback', '.local-page-edit'
+];
+
+/** Elements holding the page content, in order of preference */
+const CONTENT_SELECTORS = ['.vp-doc', '.VPDoc', 'main', 'article'];
+
+/** Links to these hosts count as internal documentation links */
+const INTERNAL_LINK_PATTERNS = ['docs.apostrophecms.org', 'apostrophecms.com/docs'];
+
+/**
+ * Content extracted from a page
+ * @typedef {Object} ExtractedPage
+ * @property {string} title
+ * @property {string} content - Markdown
+ * @property {string} description
+ * @property {string[]} headings
+ * @property {Array<{url: string, text: string}>} internalLinks
+ * @property {Array<{url: string, text: string}>} externalLinks
+ */
+
+/**
+ * Create the HTML to markdown converter
+ * @returns {TurndownService}
+ */
+export function createTurndown() {
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced'
+  });
+
+  // Preserve code language classes
+  turndown.addRule('fencedCodeBlock', {
+    filter: function (node) {
+      return node.nodeName === 'PRE' &&
+        node.firstChild?.nodeName === 'CODE';
+    },
+    replacement: function (content, node) {
+      const code = node.firstChild;
+      const language = code.className.match(/language-(\w+)/)?.[1] || '';
+      return '\n```' + language + '\n' + code.textContent + '\n```\n';
+    }
+  });
+
+  return turndown;
+}
+
+/**
+ * Extract content, links and metadata from a page's HTML
+ * @param {string} html - Full page HTML
+ * @param {string} url - Page URL, for resolving relative links
+ * @param {TurndownService} turndown
+ * @returns {ExtractedPage|null} Null if the HTML has no content element
+ */
+export function extractPage(html, url, turndown) {
+  const $ = cheerio.load(html);
+
+  const title = $('title').first().text().trim();
+  const description = $('meta[name="description"]').attr('content') || '';
+
+  $(CLEANUP_SELECTORS.join(', ')).remove();
+
+  const selector = CONTENT_SELECTORS.find(candidate => $(candidate).length > 0);
+  if (!selector) {
+    return null;
+  }
+  const element = $(selector).first();
+
+  const links = [];
+  element.find('a[href]').each((_, a) => {
+    const href = $(a).attr('href');
+    if (!href || href.startsWith('#')) return;
+
+    try {
+      links.push({ url: new URL(href, url).href, text: $(a).text().trim() });
+    } catch {
+      // Not a URL
+    }
+  });
+
+  const isInternal = link => INTERNAL_LINK_PATTERNS.some(pattern => link.url.includes(pattern));
+
+  return {
+    title,
+    content: turndown.turndown(element.html() || ''),
+    description,
+    headings: $('h1, h2, h3').map((_, el) => $(el).text().trim()).get(),
+    internalLinks: links.filter(isInternal),
+    externalLinks: links.filter(link => !isInternal(link))
+  };
+}
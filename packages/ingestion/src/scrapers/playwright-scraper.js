@@ -1,14 +1,91 @@
 /**
- * @fileoverview Playwright-based web scraper for documentation
+ * @fileoverview Web scraper for documentation
+ * Pages are fetched as static HTML first; Playwright renders only the pages
+ * whose HTML lacks a content element, or every page of a `renderJs` source.
+ * With a cache directory, responses are cached on disk, revalidated with
+ * conditional requests and can be replayed offline (`fromCache`).
  */
 
 import { chromium } from 'playwright';
-import TurndownService from 'turndown';
-import { createLogger } from '@apos-chatbot/shared';
+import { CONSTANTS, createLogger } from '@apos-chatbot/shared';
 import PQueue from 'p-queue';
+import { createTurndown, extractPage } from './html-extractor.js';
+import { fetchRobotsTxt, RobotsRules } from './robots.js';
+import { conditionalHeaders, ScrapeCache } from './scrape-cache.js';
+import { fetchSitemap } from './sitemap.js';
 
 const logger = createLogger('PlaywrightScraper');
 
+const USER_AGENT = 'ApostropheCMS-Chatbot-Scraper/1.0';
+
+/** Links to files with these extensions are not crawled */
+const NON_PAGE_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|ico|pdf|zip|gz|tgz|mp4|webm|mp3|woff2?|ttf|css|js|json|xml|txt)$/i;
+
+/** Log labels for page counts */
+const COUNT_LABELS = {
+  static: 'static',
+  rendered: 'rendered',
+  notModified: 'not modified',
+  cached: 'from cache'
+};
+
+/**
+ * A page response, fetched or rendered
+ * @typedef {Object} PageResponse
+ * @property {string} finalUrl - URL after redirects
+ * @property {string} body - HTML
+ * @property {string|null} etag
+ * @property {string|null} lastModified
+ * @property {boolean} rendered - Whether the HTML came from the browser
+ * @property {string} fetchedAt - ISO timestamp
+ * @property {boolean} [notModified] - Cached HTML confirmed by a 304 response
+ */
+
+/**
+ * Error for a page that responded with an HTTP error status
+ */
+class HttpStatusError extends Error {
+  /**
+   * @param {string} url
+   * @param {number} status
+   */
+  constructor(url, status) {
+    super(`HTTP ${status} for ${url}`);
+    this.name = 'HttpStatusError';
+    this.status = status;
+  }
+}
+
+/**
+ * Spaces out requests to the same host
+ */
+class HostRateLimiter {
+  /**
+   * @param {number} delayMs - Minimum time between requests to one host
+   */
+  constructor(delayMs) {
+    this.delayMs = delayMs;
+    /** @type {Map<string, number>} */
+    this.nextSlot = new Map();
+  }
+
+  /**
+   * Wait for the next request slot for the URL's host
+   * @param {string} url
+   * @returns {Promise<void>}
+   */
+  async wait(url) {
+    const host = new URL(url).host;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(host) || 0);
+
+    this.nextSlot.set(host, slot + this.delayMs);
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+}
+
 /**
  * Web scraper using Playwright
  */
@@ -18,40 +95,51 @@ export class PlaywrightScraper {
    */
   constructor(config) {
     this.config = {
-      maxDepth: 3,
-      maxPages: 500,
-      delayMs: 100,
+      maxDepth: CONSTANTS.SCRAPING.MAX_DEPTH,
+      maxPages: CONSTANTS.SCRAPING.MAX_PAGES,
+      delayMs: CONSTANTS.SCRAPING.DELAY_MS,
       respectRobotsTxt: true,
-      ...config
+      concurrency: CONSTANTS.SCRAPING.CONCURRENCY,
+      retries: CONSTANTS.SCRAPING.RETRIES,
+      retryDelayMs: CONSTANTS.SCRAPING.RETRY_DELAY_MS,
+      // Unset options keep their defaults
+      ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined))
     };
 
-    this.turndown = new TurndownService({
-      headingStyle: 'atx',
-      codeBlockStyle: 'fenced'
-    });
-
-    // Preserve code language classes
-    this.turndown.addRule('fencedCodeBlock', {
-      filter: function (node) {
-        return node.nodeName === 'PRE' &&
-          node.firstChild?.nodeName === 'CODE';
-      },
-      replacement: function (content, node) {
-        const code = node.firstChild;
-        const language = code.className.match(/language-(\w+)/)?.[1] || '';
-        return '\n```' + language + '\n' + code.textContent + '\n```\n';
-      }
-    });
+    this.turndown = createTurndown();
 
     this.visited = new Set();
-    this.queue = new PQueue({
-      concurrency: 3,
-      interval: this.config.delayMs,
-      intervalCap: 1
-    });
+    this.queue = new PQueue({ concurrency: this.config.concurrency });
 
     /** @type {import('@apos-chatbot/shared').ScrapedPage[]} */
     this.results = [];
+
+    /** @type {Array<{url: string, error: string, status?: number, attempts: number}>} */
+    this.failures = [];
+
+    /** @type {string[]} Sitemaps that could not be read, so the crawl may have missed pages */
+    this.sitemapFailures = [];
+
+    /** @type {RobotsRules} */
+    this.robots = new RobotsRules();
+
+    this.rateLimiter = new HostRateLimiter(this.config.delayMs);
+
+    if (this.config.fromCache && !this.config.cacheDir) {
+      throw new Error('fromCache requires a cacheDir');
+    }
+
+    /** @type {ScrapeCache|null} */
+    this.cache = this.config.cacheDir ? new ScrapeCache(this.config.cacheDir) : null;
+
+    /** Pages by how they were loaded */
+    this.counts = emptyCounts();
+
+    /** @type {Promise<import('playwright').BrowserContext>|null} */
+    this.browserContext = null;
+
+    /** @type {import('playwright').Page[]} */
+    this.freePages = [];
   }
 
   /**
@@ -68,6 +156,10 @@ export class PlaywrightScraper {
         return false;
       }
 
+      if (NON_PAGE_EXTENSIONS.test(urlObj.pathname)) {
+        return false;
+      }
+
       // Check allowed domains
       if (this.config.allowedDomains && this.config.allowedDomains.length > 0) {
         const isAllowed = this.config.allowedDomains.some(domain =>
@@ -88,6 +180,11 @@ export class PlaywrightScraper {
         }
       }
 
+      if (!this.robots.isAllowed(url)) {
+        logger.debug(`Disallowed by robots.txt: ${url}`);
+        return false;
+      }
+
       return true;
     } catch (error) {
       logger.error(`Invalid URL: ${url}`, error);
@@ -97,164 +194,382 @@ export class PlaywrightScraper {
 
   /**
    * Scrape a single page
-   * @param {import('playwright').Page} page
+   * Tries the static HTML first and falls back to rendering the page in the
+   * browser when it has no content element. With `fromCache`, the page is
+   * extracted from its cached HTML instead.
    * @param {string} url
-   * @returns {Promise<import('@apos-chatbot/shared').ScrapedPage|null>}
+   * @returns {Promise<import('@apos-chatbot/shared').ScrapedPage>}
+   * @throws {Error} If the page fails to load, responds with an error status or is not cached offline
    */
-  async scrapePage(page, url) {
-    try {
-      logger.info(`Scraping: ${url}`);
+  async scrapePage(url) {
+    logger.info(`Scraping: ${url}`);
 
-      await page.goto(url, {
-        waitUntil: 'networkidle',
-        timeout: 30000
+    const cached = this.cache ? await this.cache.get(url) : null;
+    let response = null;
+    let extracted = null;
+
+    if (this.config.fromCache) {
+      if (cached?.kind !== 'page') {
+        throw new Error(`Not in scrape cache: ${url}`);
+      }
+      response = cached;
+      extracted = extractPage(cached.body, cached.finalUrl, this.turndown);
+      this.counts.cached++;
+    } else {
+      if (!this.config.renderJs) {
+        response = await this.fetchStatic(url, cached);
+        extracted = response && extractPage(response.body, response.finalUrl, this.turndown);
+        if (extracted) {
+          this.counts[response.notModified ? 'notModified' : 'static']++;
+        } else {
+          logger.debug(`No content element in static HTML, rendering: ${url}`);
+        }
+      }
+
+      if (!extracted) {
+        response = await this.renderPage(url);
+        extracted = extractPage(response.body, response.finalUrl, this.turndown);
+        this.counts.rendered++;
+      }
+    }
+
+    this.visited.add(url);
+
+    const { title, content, description, headings, internalLinks, externalLinks } = extracted ||
+      { title: '', content: '', description: '', headings: [], internalLinks: [], externalLinks: [] };
+
+    /** @type {import('@apos-chatbot/shared').ScrapedPage} */
+    const page = {
+      url,
+      title,
+      content,
+      links: internalLinks.map(l => l.url),
+      metadata: {
+        description,
+        headings,
+        internalLinks,
+        externalLinks,
+        scrapedAt: new Date(response.fetchedAt)
+      }
+    };
+
+    if (this.cache && !this.config.fromCache) {
+      await this.cache.set({
+        url,
+        finalUrl: response.finalUrl,
+        kind: 'page',
+        body: response.body,
+        etag: response.etag,
+        lastModified: response.lastModified,
+        rendered: response.rendered,
+        fetchedAt: response.fetchedAt,
+        page
       });
+    }
+
+    return page;
+  }
+
+  /**
+   * Fetch a page's static HTML
+   * Sends a conditional request when the page is cached, reusing the cached
+   * HTML if the server answers 304 Not Modified.
+   * @param {string} url
+   * @param {import('./scrape-cache.js').CacheEntry|null} cached
+   * @returns {Promise<PageResponse|null>} Null if the response is not HTML
+   * @throws {HttpStatusError} If the page responds with an error status
+   */
+  async fetchStatic(url, cached) {
+    await this.rateLimiter.wait(url);
+
+    const response = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT, ...conditionalHeaders(cached) },
+      signal: AbortSignal.timeout(CONSTANTS.SCRAPING.TIMEOUT_MS)
+    });
+
+    if (response.status === 304 && cached) {
+      return { ...cached, notModified: true, fetchedAt: new Date().toISOString() };
+    }
+
+    if (response.status >= 400) {
+      throw new HttpStatusError(url, response.status);
+    }
 
-      const title = await page.title();
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('html')) {
+      logger.debug(`Not HTML (${contentType}): ${url}`);
+      return null;
+    }
 
-      // Clean up navigation
-      await page.evaluate(() => {
-        const selectorsToRemove = [
-          '.VPSidebar', '.VPNav', '.VPLocalNav',
-          '.VPDocAside', '.VPDocFooter',
-          'nav', 'aside', 'header', 'footer',
-          '.header-anchor', '.feedback', '.local-page-edit'
-        ];
+    return {
+      finalUrl: response.url || url,
+      body: await response.text(),
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      rendered: false,
+      fetchedAt: new Date().toISOString()
+    };
+  }
 
-        selectorsToRemove.forEach(selector => {
-          document.querySelectorAll(selector).forEach(el => el.remove());
-        });
+  /**
+   * Render a page in the browser
+   * @param {string} url
+   * @returns {Promise<PageResponse>} The rendered HTML
+   * @throws {HttpStatusError} If the page responds with an error status
+   */
+  async renderPage(url) {
+    await this.rateLimiter.wait(url);
+    const page = await this.acquirePage();
+
+    try {
+      const response = await page.goto(url, {
+        waitUntil: 'networkidle',
+        timeout: CONSTANTS.SCRAPING.TIMEOUT_MS
       });
 
-      // Extract content
-      const contentSelectors = ['.vp-doc', '.VPDoc', 'main', 'article'];
-      let content = '';
-      for (const selector of contentSelectors) {
-        const element = await page.$(selector);
-        if (element) {
-          const html = await element.innerHTML();
-          content = this.turndown.turndown(html);
-          break;
-        }
+      if (response && response.status() >= 400) {
+        throw new HttpStatusError(url, response.status());
       }
 
-      // Extract ALL links from content with metadata
-      const { internalLinks, externalLinks } = await page.evaluate(() => {
-        const content = document.querySelector('.vp-doc') ||
-          document.querySelector('main');
-        if (!content) return { internalLinks: [], externalLinks: [] };
-
-        const links = Array.from(content.querySelectorAll('a[href]'))
-          .map(a => ({
-            url: a.href,
-            text: a.textContent?.trim() || ''
-          }))
-          .filter(link => link.url && !link.url.startsWith('#'));
-
-        // Separate internal vs external
-        const internal = links.filter(l =>
-          l.url.includes('docs.apostrophecms.org') ||
-          l.url.includes('apostrophecms.com/docs')
-        );
+      const headers = response ? response.headers() : {};
+      return {
+        finalUrl: page.url(),
+        body: await page.content(),
+        etag: headers.etag || null,
+        lastModified: headers['last-modified'] || null,
+        rendered: true,
+        fetchedAt: new Date().toISOString()
+      };
+    } finally {
+      this.freePages.push(page);
+    }
+  }
 
-        const external = links.filter(l =>
-          !l.url.includes('docs.apostrophecms.org') &&
-          !l.url.includes('apostrophecms.com/docs')
-        );
+  /**
+   * Fetch a text resource such as a sitemap or robots.txt, through the cache
+   * Offline, an uncached resource answers 504 like an `only-if-cached` request.
+   * @param {string} url
+   * @returns {Promise<{status: number, body: string}>}
+   */
+  async fetchText(url) {
+    const cached = this.cache ? await this.cache.get(url) : null;
+
+    if (this.config.fromCache) {
+      return cached ? { status: 200, body: cached.body } : { status: 504, body: '' };
+    }
+
+    const response = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT, ...conditionalHeaders(cached) },
+      signal: AbortSignal.timeout(CONSTANTS.SCRAPING.TIMEOUT_MS)
+    });
+
+    if (response.status === 304 && cached) {
+      return { status: 200, body: cached.body };
+    }
 
-        return {
-          internalLinks: internal,
-          externalLinks: external
-        };
+    const body = await response.text();
+    if (this.cache && response.ok) {
+      await this.cache.set({
+        url,
+        finalUrl: response.url || url,
+        kind: 'text',
+        body,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        fetchedAt: new Date().toISOString()
       });
+    }
 
-      // Extract other metadata
-      const description = await page.$eval(
-        'meta[name="description"]',
-        el => el.getAttribute('content')
-      ).catch(() => '');
+    return { status: response.status, body };
+  }
 
-      const headings = await page.$$eval('h1, h2, h3',
-        elements => elements.map(el => el.textContent?.trim() || '')
-      );
+  /**
+   * Take a free browser page, launching the browser on first use
+   * @returns {Promise<import('playwright').Page>}
+   */
+  async acquirePage() {
+    if (!this.browserContext) {
+      logger.info('Launching browser');
+      this.browserContext = chromium.launch({ headless: true })
+        .then(browser => browser.newContext({ userAgent: USER_AGENT }));
+    }
 
-      this.visited.add(url);
+    const context = await this.browserContext;
+    return this.freePages.pop() || context.newPage();
+  }
 
-      return {
-        url,
-        title,
-        content,
-        links: internalLinks.map(l => l.url),
-        metadata: {
-          description,
-          headings,
-          internalLinks,
-          externalLinks,
-          scrapedAt: new Date()
+  /**
+   * Close the browser if it was launched
+   * @returns {Promise<void>}
+   */
+  async closeBrowser() {
+    if (!this.browserContext) {
+      return;
+    }
+
+    const context = await this.browserContext.catch(() => null);
+    this.browserContext = null;
+    this.freePages = [];
+    await context?.browser()?.close();
+  }
+
+  /**
+   * Scrape a page, retrying timeouts, network errors and 5xx responses with backoff
+   * Pages that still fail are recorded in `failures`.
+   * @param {string} url
+   * @returns {Promise<import('@apos-chatbot/shared').ScrapedPage|null>}
+   */
+  async scrapeWithRetry(url) {
+    const { retries, retryDelayMs } = this.config;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.scrapePage(url);
+      } catch (error) {
+        if (attempt <= retries && isRetryable(error)) {
+          const delay = retryDelayMs * 2 ** (attempt - 1);
+          logger.warn(`Retrying ${url} in ${delay}ms (attempt ${attempt} failed: ${error.message})`);
+          await sleep(delay);
+          continue;
         }
-      };
-    } catch (error) {
-      logger.error(`Failed to scrape ${url}`, error);
-      return null;
+
+        logger.error(`Failed to scrape ${url}`, error);
+        this.failures.push({ url, error: error.message, status: error.status, attempts: attempt });
+        return null;
+      }
     }
   }
 
   /**
-   * Scrape starting from base URL
+   * Scrape starting from the sitemap and base URL
+   * Sitemap pages are depth 0. Links found on each page are followed
+   * breadth-first up to `maxDepth`, so pages missing from the sitemap are
+   * still found. robots.txt rules and crawl-delay apply when
+   * `respectRobotsTxt` is set.
+   * Pages are scraped concurrently through the queue, but results come back
+   * in a deterministic order: by depth, then sitemap or link order.
    * @returns {Promise<import('@apos-chatbot/shared').ScrapedPage[]>}
    */
   async scrape() {
-    const browser = await chromium.launch({ headless: true });
+    const { baseUrl, maxDepth, maxPages, concurrency } = this.config;
 
-    try {
-      const context = await browser.newContext({
-        userAgent: 'ApostropheCMS-Chatbot-Scraper/1.0'
-      });
-      const page = await context.newPage();
+    const fetchText = (url) => this.fetchText(url);
 
-      // Fetch sitemap URLs
-      const sitemapUrl = this.config.sitemapUrl ||
-        `${this.config.baseUrl}/sitemap.xml`;
+    if (this.config.respectRobotsTxt) {
+      this.robots = await fetchRobotsTxt(baseUrl, USER_AGENT, fetchText);
+    }
+    this.rateLimiter = new HostRateLimiter(Math.max(this.config.delayMs, this.robots.crawlDelayMs || 0));
+
+    // Sitemap URLs: configured, else declared in robots.txt, else the default location
+    const sitemapUrls = this.config.sitemapUrl
+      ? [this.config.sitemapUrl]
+      : this.robots.sitemaps.length > 0
+        ? this.robots.sitemaps
+        : [new URL('/sitemap.xml', baseUrl).href];
+
+    const sitemapState = { seen: new Set(), failed: this.sitemapFailures };
+    const seeds = [];
+    for (const sitemapUrl of sitemapUrls) {
+      seeds.push(...await fetchSitemap(sitemapUrl, fetchText, sitemapState));
+    }
+    if (maxDepth > 0) {
+      seeds.push(baseUrl);
+    }
 
-      let urls = await fetchSitemap(sitemapUrl);
+    const queued = new Set();
+    let frontier = this.enqueue(seeds, queued);
 
-      // Apply filters
-      urls = urls.filter(url => this.shouldScrape(url));
+    try {
+      for (let depth = 0; frontier.length > 0; depth++) {
+        const remaining = maxPages - this.results.length;
+        if (remaining <= 0) {
+          logger.warn(`Reached maxPages (${maxPages}), ${frontier.length} pages at depth ${depth} not scraped`);
+          break;
+        }
+        if (frontier.length > remaining) {
+          logger.warn(`Limiting to ${maxPages} pages (${frontier.length} found at depth ${depth})`);
+          frontier = frontier.slice(0, remaining);
+        }
 
-      // Limit to maxPages
-      if (urls.length > this.config.maxPages) {
-        logger.warn(`Limiting to ${this.config.maxPages} pages (sitemap has ${urls.length})`);
-        urls = urls.slice(0, this.config.maxPages);
-      }
+        logger.info(`Scraping ${frontier.length} pages at depth ${depth} (concurrency ${concurrency})`);
 
-      logger.info(`Scraping ${urls.length} pages from sitemap`);
+        const results = await Promise.all(
+          frontier.map(url => this.queue.add(() => this.scrapeWithRetry(url)))
+        );
 
-      // Scrape each URL
-      for (const url of urls) {
-        const result = await this.scrapePage(page, url);
+        const next = [];
+        for (const result of results) {
+          if (!result) continue;
 
-        if (result) {
           this.results.push(result);
+          if (depth < maxDepth) {
+            next.push(...this.enqueue(result.links, queued));
+          }
         }
 
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, this.config.delayMs));
+        frontier = next;
       }
 
-      logger.info(`Scraping complete. Scraped ${this.results.length} pages.`);
+      const counts = Object.entries(this.counts)
+        .filter(([, count]) => count > 0)
+        .map(([kind, count]) => `${count} ${COUNT_LABELS[kind]}`);
+      logger.info(`Scraping complete. Scraped ${this.results.length} pages` +
+        (counts.length > 0 ? ` (${counts.join(', ')}).` : '.'));
+      this.reportFailures();
       return this.results;
 
     } finally {
-      await browser.close();
+      await this.closeBrowser();
     }
   }
 
+  /**
+   * Log the sitemaps and pages that could not be scraped
+   */
+  reportFailures() {
+    if (this.sitemapFailures.length > 0) {
+      logger.warn(`${this.sitemapFailures.length} sitemaps could not be read, pages may be missing:\n` +
+        this.sitemapFailures.map(url => `  ${url}`).join('\n'));
+    }
+    if (this.failures.length === 0) {
+      return;
+    }
+
+    const lines = this.failures.map(failure =>
+      `  ${failure.url} - ${failure.error} (${failure.attempts} attempt${failure.attempts === 1 ? '' : 's'})`
+    );
+    logger.warn(`${this.failures.length} pages failed:\n${lines.join('\n')}`);
+  }
+
+  /**
+   * Normalize URLs and keep those not yet queued that should be scraped
+   * @param {string[]} urls
+   * @param {Set<string>} queued - URLs already queued, updated in place
+   * @returns {string[]} Newly queued URLs, in input order
+   */
+  enqueue(urls, queued) {
+    const added = [];
+
+    for (const url of urls) {
+      const normalized = normalizeUrl(url);
+      if (!normalized || queued.has(normalized) || !this.shouldScrape(normalized)) continue;
+
+      queued.add(normalized);
+      added.push(normalized);
+    }
+
+    return added;
+  }
+
   /**
    * Reset the scraper state
    */
   reset() {
     this.visited.clear();
     this.results = [];
+    this.failures = [];
+    this.sitemapFailures = [];
+    this.counts = emptyCounts();
   }
 }
 
@@ -269,25 +584,48 @@ export async function scrapeDocumentation(config) {
 }
 
 /**
- * Fetch and parse sitemap
- * @param {string} sitemapUrl
- * @returns {Promise<string[]>}
+ * Check whether a scrape error is worth retrying
+ * @param {Error & {status?: number}} error
+ * @returns {boolean}
  */
-async function fetchSitemap(sitemapUrl) {
-  logger.info(`Fetching sitemap from ${sitemapUrl}`);
+function isRetryable(error) {
+  if (error instanceof HttpStatusError) {
+    return error.status >= 500 || error.status === 429;
+  }
+  // Timeouts, Playwright network failures (net::ERR_*) and fetch network failures
+  return error.name === 'TimeoutError' ||
+    /net::ERR_|ECONNRESET|ETIMEDOUT/.test(error.message) ||
+    ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET'].includes(error.cause?.code);
+}
 
-  const response = await fetch(sitemapUrl);
-  const xml = await response.text();
+/**
+ * Page counts with every kind at zero
+ * @returns {Record<keyof typeof COUNT_LABELS, number>}
+ */
+function emptyCounts() {
+  return { static: 0, rendered: 0, notModified: 0, cached: 0 };
+}
 
-  // Simple XML parsing - extract all <loc> tags
-  const urls = [];
-  const locRegex = /<loc>(.*?)<\/loc>/g;
-  let match;
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-  while ((match = locRegex.exec(xml)) !== null) {
-    urls.push(match[1]);
+/**
+ * Drop the fragment from a URL
+ * @param {string} url
+ * @returns {string|null} Null for invalid URLs
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch {
+    return null;
   }
-
-  logger.info(`Found ${urls.length} URLs in sitemap`);
-  return urls;
 }
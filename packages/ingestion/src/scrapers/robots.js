@@ -0,0 +1,154 @@
+/**
+ * @fileoverview robots.txt parsing
+ * Supports user-agent groups, Allow/Disallow with `*` and `$` patterns
+ * (longest match wins, Allow wins ties), Crawl-delay and Sitemap directives.
+ */
+
+import { createLogger } from '@apos-chatbot/shared';
+
+const logger = createLogger('Robots');
+
+/**
+ * Rules from a robots.txt file for one user agent
+ */
+export class RobotsRules {
+  /**
+   * @param {Object} [options]
+   * @param {Array<{allow: boolean, pattern: string}>} [options.rules] - Allow/Disallow rules
+   * @param {number|null} [options.crawlDelayMs] - Crawl-delay in milliseconds
+   * @param {string[]} [options.sitemaps] - Sitemap URLs
+   */
+  constructor({ rules = [], crawlDelayMs = null, sitemaps = [] } = {}) {
+    this.rules = rules.map(rule => ({ ...rule, regex: patternToRegex(rule.pattern) }));
+    this.crawlDelayMs = crawlDelayMs;
+    this.sitemaps = sitemaps;
+  }
+
+  /**
+   * Check whether a URL may be crawled
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isAllowed(url) {
+    const { pathname, search } = new URL(url);
+    const path = pathname + search;
+
+    let best = null;
+    for (const rule of this.rules) {
+      if (!rule.regex.test(path)) continue;
+      if (!best ||
+        rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.allow)) {
+        best = rule;
+      }
+    }
+
+    return best ? best.allow : true;
+  }
+}
+
+/**
+ * Parse robots.txt for a user agent
+ * Uses the group naming the agent (by product token, case-insensitive) or
+ * else the `*` group. Sitemap directives apply regardless of group.
+ * @param {string} text - robots.txt contents
+ * @param {string} userAgent - e.g. "ApostropheCMS-Chatbot-Scraper/1.0"
+ * @returns {RobotsRules}
+ */
+export function parseRobotsTxt(text, userAgent) {
+  const token = userAgent.split('/')[0].toLowerCase();
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!group) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) group.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds)) group.crawlDelayMs = seconds * 1000;
+    }
+  }
+
+  const match = groups.find(g => g.agents.some(agent => agent !== '*' && token.includes(agent))) ||
+    groups.find(g => g.agents.includes('*'));
+
+  return new RobotsRules({
+    rules: match?.rules,
+    crawlDelayMs: match?.crawlDelayMs,
+    sitemaps
+  });
+}
+
+/**
+ * Fetch and parse a site's robots.txt
+ * A missing file allows everything; an unreachable one is logged and also
+ * treated as allowing everything.
+ * @param {string} baseUrl - Any URL on the site
+ * @param {string} userAgent
+ * @param {(url: string) => Promise<{status: number, body: string}>} fetchText - Fetch function
+ * @returns {Promise<RobotsRules>}
+ */
+export async function fetchRobotsTxt(baseUrl, userAgent, fetchText) {
+  const robotsUrl = new URL('/robots.txt', baseUrl).href;
+
+  try {
+    const { status, body } = await fetchText(robotsUrl);
+    if (status >= 400) {
+      logger.info(`No robots.txt at ${robotsUrl} (${status})`);
+      return new RobotsRules();
+    }
+
+    const rules = parseRobotsTxt(body, userAgent);
+    logger.info(`Loaded robots.txt from ${robotsUrl}`, {
+      rules: rules.rules.length,
+      crawlDelayMs: rules.crawlDelayMs,
+      sitemaps: rules.sitemaps.length
+    });
+    return rules;
+  } catch (error) {
+    logger.warn(`Could not fetch ${robotsUrl}, assuming everything is allowed`, error);
+    return new RobotsRules();
+  }
+}
+
+/**
+ * Convert a robots.txt path pattern to a regular expression
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
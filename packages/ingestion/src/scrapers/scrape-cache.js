@@ -0,0 +1,117 @@
+/**
+ * @fileoverview On-disk cache of scraped responses
+ * Each URL is stored under the SHA-256 of the URL as a metadata file
+ * (`<key>.json`: validators, fetch time and, for pages, the extracted
+ * ScrapedPage) next to the raw response body (`<key>.html` or `<key>.txt`).
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import { createLogger } from '@apos-chatbot/shared';
+
+const logger = createLogger('ScrapeCache');
+
+/**
+ * A cached response
+ * @typedef {Object} CacheEntry
+ * @property {string} url - Requested URL
+ * @property {string} finalUrl - URL after redirects
+ * @property {'page' | 'text'} kind - Scraped page, or a text resource such as a sitemap or robots.txt
+ * @property {string} body - Raw response body
+ * @property {string|null} etag - ETag response header
+ * @property {string|null} lastModified - Last-Modified response header
+ * @property {boolean} [rendered] - page: whether the HTML came from the browser
+ * @property {string} fetchedAt - ISO timestamp
+ * @property {import('@apos-chatbot/shared').ScrapedPage} [page] - page: the extracted page
+ */
+
+/**
+ * Scrape cache rooted at a directory
+ */
+export class ScrapeCache {
+  /**
+   * @param {string} dir - Cache directory, created on first write
+   */
+  constructor(dir) {
+    this.dir = resolve(dir);
+  }
+
+  /**
+   * Cache file path without extension for a URL
+   * @param {string} url
+   * @returns {string}
+   */
+  pathFor(url) {
+    return join(this.dir, createHash('sha256').update(url).digest('hex'));
+  }
+
+  /**
+   * Read the cached response for a URL
+   * @param {string} url
+   * @returns {Promise<CacheEntry|null>} Null if not cached or unreadable
+   */
+  async get(url) {
+    const path = this.pathFor(url);
+
+    let meta;
+    try {
+      meta = JSON.parse(await readFile(`${path}.json`, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable cache entry for ${url}: ${error.message}`);
+      }
+      return null;
+    }
+
+    try {
+      const body = await readFile(`${path}.${bodyExtension(meta.kind)}`, 'utf-8');
+      if (meta.page) {
+        meta.page.metadata.scrapedAt = new Date(meta.page.metadata.scrapedAt);
+      }
+      return { ...meta, body };
+    } catch (error) {
+      logger.warn(`Ignoring cache entry for ${url} without a body: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Store a response
+   * @param {CacheEntry} entry
+   * @returns {Promise<void>}
+   */
+  async set(entry) {
+    const { body, ...meta } = entry;
+    const path = this.pathFor(entry.url);
+
+    await mkdir(this.dir, { recursive: true });
+    await writeFile(`${path}.${bodyExtension(entry.kind)}`, body);
+    await writeFile(`${path}.json`, JSON.stringify(meta, null, 2));
+  }
+}
+
+/**
+ * Conditional request headers from a cached entry's validators
+ * @param {CacheEntry|null} entry
+ * @returns {Record<string, string>}
+ */
+export function conditionalHeaders(entry) {
+  const headers = {};
+  if (entry?.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+  if (entry?.lastModified) {
+    headers['If-Modified-Since'] = entry.lastModified;
+  }
+  return headers;
+}
+
+/**
+ * File extension for a cached body
+ * @param {CacheEntry['kind']} kind
+ * @returns {string}
+ */
+function bodyExtension(kind) {
+  return kind === 'page' ? 'html' : 'txt';
+}
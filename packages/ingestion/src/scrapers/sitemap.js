@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Sitemap fetching
+ * Follows sitemap index files recursively.
+ */
+
+import { createLogger } from '@apos-chatbot/shared';
+
+const logger = createLogger('Sitemap');
+
+/** Sitemap indexes nested deeper than this are ignored */
+const MAX_INDEX_DEPTH = 3;
+
+/**
+ * State shared by the sitemaps of one crawl
+ * @typedef {Object} SitemapState
+ * @property {Set<string>} seen - Sitemaps already fetched, to break cycles
+ * @property {string[]} failed - Sitemaps that could not be read, so their pages may be missing
+ */
+
+/**
+ * Fetch page URLs from a sitemap or sitemap index
+ * Sitemaps that fail to load are logged and recorded in `state.failed`
+ * rather than thrown, so the crawl can go on from the base URL.
+ * @param {string} sitemapUrl
+ * @param {(url: string) => Promise<{status: number, body: string}>} fetchText - Fetch function
+ * @param {SitemapState} [state]
+ * @param {number} [depth] - Current index nesting depth
+ * @returns {Promise<string[]>} Page URLs in sitemap order, without duplicates
+ */
+export async function fetchSitemap(sitemapUrl, fetchText, state = { seen: new Set(), failed: [] }, depth = 0) {
+  if (state.seen.has(sitemapUrl)) {
+    return [];
+  }
+  state.seen.add(sitemapUrl);
+
+  logger.info(`Fetching sitemap from ${sitemapUrl}`);
+
+  let xml;
+  try {
+    const { status, body } = await fetchText(sitemapUrl);
+    if (status >= 400) {
+      logger.warn(`Sitemap ${sitemapUrl} returned ${status}`);
+      state.failed.push(sitemapUrl);
+      return [];
+    }
+    xml = body;
+  } catch (error) {
+    logger.warn(`Failed to fetch sitemap ${sitemapUrl}`, error);
+    state.failed.push(sitemapUrl);
+    return [];
+  }
+
+  if (/<sitemapindex[\s>]/.test(xml)) {
+    if (depth >= MAX_INDEX_DEPTH) {
+      logger.warn(`Ignoring sitemap index nested too deep: ${sitemapUrl}`);
+      state.failed.push(sitemapUrl);
+      return [];
+    }
+
+    const children = extractLocs(xml, 'sitemap');
+    logger.info(`Sitemap index ${sitemapUrl} lists ${children.length} sitemaps`);
+
+    const urls = [];
+    for (const child of children) {
+      urls.push(...await fetchSitemap(child, fetchText, state, depth + 1));
+    }
+    return [...new Set(urls)];
+  }
+
+  const urls = [...new Set(extractLocs(xml, 'url'))];
+  logger.info(`Found ${urls.length} URLs in sitemap`);
+  return urls;
+}
+
+/**
+ * Extract `<loc>` values from the given entry elements
+ * @param {string} xml
+ * @param {'url' | 'sitemap'} element - Entry element name
+ * @returns {string[]}
+ */
+function extractLocs(xml, element) {
+  const locs = [];
+  const entryRegex = new RegExp(`<${element}\\b[^>]*>([\\s\\S]*?)</${element}>`, 'g');
+  let match;
+
+  while ((match = entryRegex.exec(xml)) !== null) {
+    const loc = match[1].match(/<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/);
+    if (loc) {
+      locs.push(decodeXmlEntities(loc[1].trim()));
+    }
+  }
+
+  return locs;
+}
+
+/**
+ * Decode the XML entities allowed in sitemap URLs
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
@@ -1,13 +1,28 @@
 /**
  * @fileoverview Weaviate client singleton for ingestion
+ * Reads and writes the class the `AposDocs` alias points to, or the `AposDocs`
+ * class itself on instances without versioned indexes. `useClass` switches to
+ * another class, e.g. a new index version being built. With an embedding
+ * provider configured, documents are imported with vectors computed here.
  */
 
 import weaviate from 'weaviate-ts-client';
 import { createLogger } from '@apos-chatbot/shared';
-import { createSchema, APOS_DOCS_SCHEMA } from '@apos-chatbot/shared';
+import {
+  APOS_DOCS_SCHEMA,
+  WeaviateAliases,
+  checkSchema,
+  createEmbeddingProvider,
+  embeddingText,
+  getEmbeddingConfig,
+  migrateSchema
+} from '@apos-chatbot/shared';
 
 const logger = createLogger('WeaviateClient');
 
+/** Objects deleted per batch request */
+const DELETE_BATCH_SIZE = 500;
+
 /**
  * Weaviate client singleton
  */
@@ -15,6 +30,14 @@ class WeaviateClient {
   constructor() {
     /** @type {import('weaviate-ts-client').WeaviateClient|null} */
     this.client = null;
+    /** @type {WeaviateAliases|null} */
+    this.aliases = null;
+    /** Class read and written, resolved from the alias on initialize */
+    this.className = APOS_DOCS_SCHEMA.class;
+    /** @type {import('@apos-chatbot/shared').EmbeddingConfig|null} */
+    this.embedding = null;
+    /** @type {import('@apos-chatbot/shared').EmbeddingProvider|null} Null when Weaviate vectorizes */
+    this.embeddings = null;
     this.initialized = false;
   }
 
@@ -22,9 +45,11 @@ class WeaviateClient {
    * Initialize the Weaviate client
    * @param {string} url - Weaviate instance URL
    * @param {string} [apiKey] - Optional API key
+   * @param {Object} [options]
+   * @param {boolean} [options.checkSchema=true] - Create or check the schema; off for the `migrate` command
    * @returns {Promise<void>}
    */
-  async initialize(url, apiKey) {
+  async initialize(url, apiKey, { checkSchema = true } = {}) {
     if (this.initialized) {
       logger.debug('Client already initialized');
       return;
@@ -41,14 +66,26 @@ class WeaviateClient {
       }
 
       this.client = weaviate.client(clientConfig);
+      this.aliases = new WeaviateAliases(url, apiKey);
+      this.embedding = getEmbeddingConfig();
+      this.embeddings = createEmbeddingProvider(this.embedding);
+      if (this.embeddings) {
+        logger.info(`Computing embeddings with ${this.embeddings.name}`);
+      }
 
       // Test connection
       const meta = await this.client.misc.metaGetter().do();
       logger.info('Connected to Weaviate', { version: meta.version });
 
-      // Ensure schema exists
-      await createSchema(this.client);
-      
+      this.className = await this.aliases.resolve(APOS_DOCS_SCHEMA.class);
+      if (this.className !== APOS_DOCS_SCHEMA.class) {
+        logger.info(`${APOS_DOCS_SCHEMA.class} is an alias of ${this.className}`);
+      }
+
+      if (checkSchema) {
+        await this.ensureSchema();
+      }
+
       this.initialized = true;
     } catch (error) {
       logger.error('Failed to initialize Weaviate client', error);
@@ -56,6 +93,40 @@ class WeaviateClient {
     }
   }
 
+  /**
+   * Create the schema on a fresh instance, or check that the existing one is current
+   * Existing classes are only changed by the `migrate` command, so that
+   * slow migrations such as class rebuilds never start as a side effect.
+   * @returns {Promise<void>}
+   * @throws {Error} If the schema needs migrating
+   */
+  async ensureSchema() {
+    const status = await checkSchema(this.client, this.className, this.embedding);
+
+    if (!status.exists) {
+      await migrateSchema(this.client, this.className, this.embedding);
+      return;
+    }
+
+    if (status.problems.length > 0) {
+      throw new Error(
+        `Weaviate schema of ${status.className} is not compatible: ${status.problems.join('; ')}. ` +
+        'Run `pnpm migrate` first.'
+      );
+    }
+  }
+
+  /**
+   * Read and write another class from now on
+   * @param {string} className
+   * @returns {Promise<void>}
+   */
+  async useClass(className) {
+    this.className = className;
+    await this.ensureSchema();
+    logger.info(`Using class ${className}`);
+  }
+
   /**
    * Get the client instance
    * @returns {import('weaviate-ts-client').WeaviateClient}
@@ -70,8 +141,10 @@ class WeaviateClient {
 
   /**
    * Batch import documents
+   * Objects Weaviate rejects are logged and returned rather than thrown, so
+   * the caller can keep what it had for them.
    * @param {import('@apos-chatbot/shared').WeaviateDocument[]} documents
-   * @returns {Promise<void>}
+   * @returns {Promise<string[]>} IDs of the objects that failed to import
    */
   async batchImport(documents) {
     const client = this.getClient();
@@ -79,11 +152,17 @@ class WeaviateClient {
     logger.info(`Starting batch import of ${documents.length} documents`);
     
     try {
+      const vectors = this.embeddings
+        ? await this.embeddings.embedDocuments(documents.map(doc => embeddingText(doc)))
+        : [];
       let batcher = client.batch.objectsBatcher();
       
-      for (const doc of documents) {
+      for (const [index, doc] of documents.entries()) {
+        const operation = doc.metadata?.operation;
         batcher = batcher.withObject({
-          class: APOS_DOCS_SCHEMA.class,
+          class: this.className,
+          ...(doc.id && { id: doc.id }),
+          ...(vectors[index] && { vector: vectors[index] }),
           properties: {
             content: doc.content,
             title: doc.title,
@@ -93,7 +172,18 @@ class WeaviateClient {
             docType: doc.docType,
             keywords: doc.keywords || [],
             section: doc.metadata?.section || '',
-            lastUpdated: new Date().toISOString()
+            anchorUrl: doc.metadata?.anchorUrl || doc.url,
+            lastUpdated: new Date().toISOString(),
+            sourceName: doc.sourceName || '',
+            contentHash: doc.contentHash || '',
+            chunkIndex: doc.metadata?.chunkIndex ?? 0,
+            ...(operation && {
+              httpMethod: operation.method,
+              apiPath: operation.path,
+              operationId: operation.operationId || '',
+              apiTags: operation.tags,
+              deprecated: operation.deprecated
+            })
           }
         });
       }
@@ -107,6 +197,7 @@ class WeaviateClient {
       } else {
         logger.info(`Successfully imported ${documents.length} documents`);
       }
+      return errors.map(r => r.id);
     } catch (error) {
       logger.error('Batch import failed', error);
       throw error;
@@ -125,7 +216,7 @@ class WeaviateClient {
     try {
       await client.batch
         .objectsBatchDeleter()
-        .withClassName(APOS_DOCS_SCHEMA.class)
+        .withClassName(this.className)
         .withWhere({
           operator: 'NotEqual',
           path: ['url'],
@@ -140,27 +231,147 @@ class WeaviateClient {
     }
   }
 
+  /**
+   * Delete objects by ID
+   * @param {string[]} ids - Object UUIDs
+   * @returns {Promise<void>}
+   */
+  async deleteObjects(ids) {
+    const client = this.getClient();
+
+    for (let start = 0; start < ids.length; start += DELETE_BATCH_SIZE) {
+      const batch = ids.slice(start, start + DELETE_BATCH_SIZE);
+      const result = await client.batch
+        .objectsBatchDeleter()
+        .withClassName(this.className)
+        .withWhere({ path: ['id'], operator: 'ContainsAny', valueTextArray: batch })
+        .do();
+
+      if (result.results?.failed > 0) {
+        throw new Error(`Failed to delete ${result.results.failed} of ${batch.length} objects`);
+      }
+    }
+
+    logger.debug(`Deleted ${ids.length} objects`);
+  }
+
+  /**
+   * List indexed pages with their content hash and chunk IDs
+   * Walks the whole class with the cursor API, which does not support filters,
+   * and keeps objects that belong to `sourceName`. Objects ingested before
+   * sources were tracked have no source and are matched by `legacyUrls` instead.
+   * @param {string} sourceName - Ingestion source
+   * @param {Set<string>} [legacyUrls] - URLs the source produces
+   * @returns {Promise<Map<string, {contentHash: string, ids: string[]}>>} Pages by URL
+   */
+  async getIndexedPages(sourceName, legacyUrls = new Set()) {
+    const client = this.getClient();
+    const pages = new Map();
+    let after = null;
+
+    while (true) {
+      let query = client.graphql
+        .get()
+        .withClassName(this.className)
+        .withFields('url sourceName contentHash _additional { id }')
+        .withLimit(500);
+
+      if (after) {
+        query = query.withAfter(after);
+      }
+
+      const result = await query.do();
+      const objects = result.data.Get[this.className];
+      if (objects.length === 0) break;
+
+      for (const object of objects) {
+        const belongs = object.sourceName
+          ? object.sourceName === sourceName
+          : legacyUrls.has(object.url);
+        if (!belongs) continue;
+
+        const page = pages.get(object.url) || { contentHash: object.contentHash || '', ids: [] };
+        // A page with any unhashed chunk, or chunks from different versions
+        // of the page, counts as changed
+        if (object.contentHash !== page.contentHash) page.contentHash = '';
+        page.ids.push(object._additional.id);
+        pages.set(object.url, page);
+      }
+
+      after = objects[objects.length - 1]._additional.id;
+    }
+
+    return pages;
+  }
+
   /**
    * Get document count
+   * @param {string} [className] - Class to count, defaults to the current one
    * @returns {Promise<number>}
    */
-  async getCount() {
+  async getCount(className = this.className) {
     const client = this.getClient();
     
     try {
       const result = await client.graphql
         .aggregate()
-        .withClassName(APOS_DOCS_SCHEMA.class)
+        .withClassName(className)
         .withFields('meta { count }')
         .do();
       
-      return result.data.Aggregate[APOS_DOCS_SCHEMA.class][0].meta.count;
+      return result.data.Aggregate[className][0].meta.count;
     } catch (error) {
       logger.error('Failed to get document count', error);
       return 0;
     }
   }
 
+  /**
+   * Get document counts overall and grouped by metadata fields
+   * @param {string[]} [fields] - Properties to group by
+   * @returns {Promise<{total: number, groups: Record<string, Record<string, number>>}>}
+   */
+  async getStats(fields = ['sourceName', 'framework', 'version', 'docType']) {
+    const client = this.getClient();
+    const groups = {};
+
+    for (const field of fields) {
+      const result = await client.graphql
+        .aggregate()
+        .withClassName(this.className)
+        .withGroupBy([field])
+        .withFields('groupedBy { value } meta { count }')
+        .do();
+
+      groups[field] = {};
+      for (const group of result.data.Aggregate[this.className]) {
+        groups[field][group.groupedBy.value] = group.meta.count;
+      }
+    }
+
+    return { total: await this.getCount(), groups };
+  }
+
+  /**
+   * Names of the sources with documents in a class
+   * Documents ingested before sources were tracked are not counted.
+   * @param {string} [className] - Class to read, defaults to the current one
+   * @returns {Promise<string[]>}
+   */
+  async getSourceNames(className = this.className) {
+    const result = await this.getClient().graphql
+      .aggregate()
+      .withClassName(className)
+      .withGroupBy(['sourceName'])
+      .withFields('groupedBy { value }')
+      .do();
+
+    return result.data.Aggregate[className]
+      .map(group => group.groupedBy.value)
+      .filter(Boolean)
+      .sort();
+  }
+
   /**
    * Health check
    * @returns {Promise<boolean>}
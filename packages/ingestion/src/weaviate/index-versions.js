@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Versioned documentation indexes behind the `AposDocs` alias
+ *
+ * A full reindex builds a new class named after the day it was built
+ * (`AposDocs_20261019`, then `AposDocs_20261019_2`, ...) while the server keeps
+ * answering from the class the alias points to. Once the new class passes
+ * the document-count and smoke-query checks, the alias is repointed in one
+ * request and versions older than the previous few are dropped. Older
+ * versions stay promotable for rollback.
+ */
+
+import { APOS_DOCS_SCHEMA, CONSTANTS, checkSchema, createLogger } from '@apos-chatbot/shared';
+import { weaviateClient } from './client.js';
+
+const logger = createLogger('IndexVersions');
+
+/** Alias the server reads from */
+const ALIAS = APOS_DOCS_SCHEMA.class;
+
+/** Names of versioned classes */
+const VERSION_PATTERN = new RegExp(`^${ALIAS}_\\d{8}(_\\d+)?$`);
+
+/** Results a smoke query's terms are looked for in */
+const SMOKE_QUERY_LIMIT = 5;
+
+/**
+ * An index version
+ * @typedef {Object} IndexVersion
+ * @property {string} className
+ * @property {number} count - Documents in the class
+ * @property {boolean} active - Whether the alias points to it
+ * @property {boolean} legacy - The unversioned `AposDocs` class from before aliases
+ */
+
+/**
+ * List index versions, oldest first
+ * @returns {Promise<IndexVersion[]>}
+ */
+export async function listIndexVersions() {
+  const client = weaviateClient.getClient();
+  const { classes = [] } = await client.schema.getter().do();
+  const active = await weaviateClient.aliases.get(ALIAS);
+
+  const names = classes
+    .map(weaviateClass => weaviateClass.class)
+    .filter(name => VERSION_PATTERN.test(name) || name === ALIAS)
+    .sort(compareVersions);
+
+  const versions = [];
+  for (const className of names) {
+    versions.push({
+      className,
+      count: await weaviateClient.getCount(className),
+      active: className === active || (className === ALIAS && !active),
+      legacy: className === ALIAS
+    });
+  }
+  return versions;
+}
+
+/**
+ * Create the class for a new index version and switch the client to it
+ * @param {Date} [date] - Build date the name is derived from
+ * @returns {Promise<string>} Class name
+ */
+export async function createIndexVersion(date = new Date()) {
+  const client = weaviateClient.getClient();
+  const { classes = [] } = await client.schema.getter().do();
+  const existing = new Set(classes.map(weaviateClass => weaviateClass.class));
+
+  const base = `${ALIAS}_${date.toISOString().slice(0, 10).replace(/-/g, '')}`;
+  let className = base;
+  for (let n = 2; existing.has(className); n++) {
+    className = `${base}_${n}`;
+  }
+
+  await weaviateClient.useClass(className);
+  logger.info(`Building index version ${className}`);
+  return className;
+}
+
+/**
+ * Check that an index version is fit to serve
+ * It must hold at least `minCountRatio` of the active version's documents
+ * and every source the active version has, and a keyword search for every smoke query must find documents mentioning
+ * each of its terms.
+ * @param {string} className
+ * @param {Object} [options]
+ * @param {number} [options.minCountRatio]
+ * @param {string[]} [options.smokeQueries]
+ * @returns {Promise<string[]>} Problems found; empty if the version passes
+ */
+export async function verifyIndexVersion(className, options = {}) {
+  const {
+    minCountRatio = CONSTANTS.INDEX_VERSIONS.MIN_COUNT_RATIO,
+    smokeQueries = CONSTANTS.INDEX_VERSIONS.SMOKE_QUERIES
+  } = options;
+  const client = weaviateClient.getClient();
+  const problems = [];
+
+  const count = await weaviateClient.getCount(className);
+  const active = await getActiveClass();
+  const activeCount = active && active !== className ? await weaviateClient.getCount(active) : 0;
+
+  if (count === 0) {
+    problems.push(`${className} is empty`);
+  } else if (count < activeCount * minCountRatio) {
+    problems.push(`${className} has ${count} documents, fewer than ${Math.round(minCountRatio * 100)}% of ${activeCount} in ${active}`);
+  }
+
+  // A small source going missing would pass the document-count check
+  if (active && active !== className) {
+    const built = new Set(await weaviateClient.getSourceNames(className));
+    const missing = (await weaviateClient.getSourceNames(active)).filter(name => !built.has(name));
+    if (missing.length > 0) {
+      problems.push(`${className} lacks sources that ${active} has: ${missing.join(', ')}`);
+    }
+  }
+
+  for (const query of smokeQueries) {
+    // Keyword search only: a hybrid query returns its nearest vectors even
+    // when nothing in the class is about the query
+    const result = await client.graphql
+      .get()
+      .withClassName(className)
+      .withBm25({ query, properties: ['title', 'content'] })
+      .withLimit(SMOKE_QUERY_LIMIT)
+      .withFields('title content url')
+      .do();
+
+    const results = result.data?.Get?.[className] || [];
+    const text = results.map(doc => `${doc.title}\n${doc.content}`).join('\n').toLowerCase();
+    const missing = query.toLowerCase().split(/\s+/).filter(term => !text.includes(term));
+
+    if (results.length === 0) {
+      problems.push(`Smoke query "${query}" found nothing`);
+    } else if (missing.length > 0) {
+      problems.push(`Smoke query "${query}" found no results mentioning ${missing.join(', ')}`);
+    }
+  }
+
+  logger.info(`Verified ${className}`, { count, activeCount, problems: problems.length });
+  return problems;
+}
+
+/**
+ * Names of the sources in the version the server reads from
+ * @returns {Promise<string[]>} Empty if there is no active version
+ */
+export async function getActiveSourceNames() {
+  const active = await getActiveClass();
+  return active ? weaviateClient.getSourceNames(active) : [];
+}
+
+/**
+ * Point the alias at an index version
+ * An unversioned `AposDocs` class has to be deleted first, since an alias
+ * cannot share its name; queries fail for the moment in between.
+ * @param {string} className
+ * @returns {Promise<void>}
+ * @throws {Error} If the version's schema is outdated, which the server would refuse
+ */
+export async function promoteIndexVersion(className) {
+  const client = weaviateClient.getClient();
+
+  if (!VERSION_PATTERN.test(className) || !await classExists(className)) {
+    throw new Error(`${className} is not an index version`);
+  }
+
+  const { problems } = await checkSchema(client, className);
+  if (problems.length > 0) {
+    throw new Error(`Schema of ${className} is not compatible: ${problems.join('; ')}`);
+  }
+
+  if (!await weaviateClient.aliases.get(ALIAS) && await classExists(ALIAS)) {
+    logger.warn(`Replacing the unversioned ${ALIAS} class with an alias; it cannot be rolled back to`);
+    await client.schema.classDeleter().withClassName(ALIAS).do();
+  }
+
+  await weaviateClient.aliases.set(ALIAS, className);
+  logger.info(`${ALIAS} now points to ${className}`);
+}
+
+/**
+ * Delete an index version
+ * @param {string} className
+ * @returns {Promise<void>}
+ * @throws {Error} For the active version
+ */
+export async function dropIndexVersion(className) {
+  if (!VERSION_PATTERN.test(className)) {
+    throw new Error(`${className} is not an index version`);
+  }
+  if (className === await getActiveClass()) {
+    throw new Error(`${className} is active; promote another version first`);
+  }
+
+  await weaviateClient.getClient().schema.classDeleter().withClassName(className).do();
+  logger.info(`Dropped index version ${className}`);
+}
+
+/**
+ * Drop versions older than the active one, keeping the newest `keep` of them
+ * Versions newer than the active one, such as builds that failed
+ * verification, are left for inspection.
+ * @param {number} [keep]
+ * @returns {Promise<string[]>} Dropped class names
+ */
+export async function pruneIndexVersions(keep = CONSTANTS.INDEX_VERSIONS.KEEP_PREVIOUS) {
+  const versions = await listIndexVersions();
+  const activeIndex = versions.findIndex(version => version.active);
+  const older = versions.slice(0, Math.max(0, activeIndex)).filter(version => !version.legacy);
+  const dropped = older.slice(0, Math.max(0, older.length - keep)).map(version => version.className);
+
+  for (const className of dropped) {
+    await dropIndexVersion(className);
+  }
+  return dropped;
+}
+
+/**
+ * Class the server currently reads from
+ * @returns {Promise<string|null>} Null if there is neither an alias nor an unversioned class
+ */
+async function getActiveClass() {
+  const target = await weaviateClient.aliases.get(ALIAS);
+  if (target) {
+    return target;
+  }
+  return await classExists(ALIAS) ? ALIAS : null;
+}
+
+/**
+ * @param {string} className
+ * @returns {Promise<boolean>}
+ */
+async function classExists(className) {
+  return weaviateClient.getClient().schema
+    .exists(className)
+    .catch(() => false);
+}
+
+/**
+ * Order version names by date and build number, the unversioned class first
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareVersions(a, b) {
+  return a.localeCompare(b, 'en', { numeric: true });
+}
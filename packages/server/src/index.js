@@ -15,8 +15,26 @@ import { dirname, join } from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import sanitizeHtml from 'sanitize-html';
 import { stringify } from 'csv-stringify/sync';
-import { requireEnv, getBoolEnv, getNumberEnv, createLogger, APOS_DOCS_SCHEMA } from '@apos-chatbot/shared';
+import {
+  requireEnv,
+  getBoolEnv,
+  getNumberEnv,
+  getRetrievalConfig,
+  getEmbeddingConfig,
+  createEmbeddingProvider,
+  createLogger,
+  checkSchema,
+  SCHEMA_VERSION,
+  APOS_DOCS_SCHEMA,
+  WeaviateAliases
+} from '@apos-chatbot/shared';
+import { DiscordBot, DiscordGateway } from '@apos-chatbot/discord';
 import { QueryHandler } from './query/handler.js';
+import { MongoHistoryStore } from './query/history-store.js';
+import { WeaviateHybridRetriever } from './query/retriever.js';
+import { EndpointLookup } from './query/endpoint-lookup.js';
+import { createReranker } from './query/rerankers.js';
+import { TokenBucketLimiter } from './rate-limiter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -34,6 +52,8 @@ const MONGO_DB_NAME = process.env.MONGO_CONVERSATION_DB || 'ai_conversations';
 const FILE_PASSWORD = process.env.FILE_PASSWORD;
 const SLACK_HOOK = process.env.SLACK_HOOK;
 const LOG_TO_SLACK = getBoolEnv('LOG_TO_SLACK', false);
+const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
+const DISCORD_CLIENT_ID = process.env.DISCORD_CLIENT_ID;
 
 // Initialize Express and Socket.IO
 const app = express();
@@ -48,20 +68,31 @@ const io = new Server(server, {
 app.use(cors());
 app.use(express.json());
 
-// Rate limiter
+// Rate limiters: middleware for the REST endpoints, token buckets for sockets
+const RATE_LIMIT_WINDOW_MS = getNumberEnv('RATE_LIMIT_WINDOW_MS', 60000);
+const RATE_LIMIT_MAX_REQUESTS = getNumberEnv('RATE_LIMIT_MAX_REQUESTS', 2);
+
 const limiter = rateLimit({
-  windowMs: getNumberEnv('RATE_LIMIT_WINDOW_MS', 60000),
-  max: getNumberEnv('RATE_LIMIT_MAX_REQUESTS', 2),
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: RATE_LIMIT_MAX_REQUESTS,
   standardHeaders: true,
   legacyHeaders: false,
 });
 
+const socketLimiter = new TokenBucketLimiter({
+  capacity: RATE_LIMIT_MAX_REQUESTS,
+  windowMs: RATE_LIMIT_WINDOW_MS
+});
+
 // Global state
 let mongoClient;
 let conversationCollection;
+let historyStore;
 let weaviateClient;
 let weaviateRetriever;
+let endpointLookup;
 let queryHandler;
+let discordBot;
 
 // Session storage
 const sessions = new Map();
@@ -77,6 +108,12 @@ async function initMongoDB() {
     
     const db = mongoClient.db(MONGO_DB_NAME);
     conversationCollection = db.collection('conversations');
+
+    historyStore = new MongoHistoryStore(db, {
+      ttlSeconds: getNumberEnv('CHAT_HISTORY_TTL_SECONDS', 7 * 24 * 60 * 60),
+      maxTurns: getNumberEnv('CHAT_HISTORY_MAX_TURNS', 10)
+    });
+    await historyStore.initialize();
   } catch (error) {
     logger.error('Failed to connect to MongoDB', error);
     throw error;
@@ -103,49 +140,36 @@ async function initWeaviate() {
     const meta = await weaviateClient.misc.metaGetter().do();
     logger.info('Connected to Weaviate', { version: meta.version });
 
-    // Create a simple retriever
-    // In production, you'd use LangChain's Weaviate integration
-    weaviateRetriever = {
-      async invoke(query, options = {}) {
-        try {
-          let queryBuilder = weaviateClient.graphql
-            .get()
-            .withClassName(APOS_DOCS_SCHEMA.class)
-            .withNearText({ concepts: [query] })
-            .withLimit(6)
-            .withFields('content title url version framework docType _additional { distance certainty }');
-
-          // Apply filters if provided
-          if (options.filter) {
-            queryBuilder = queryBuilder.withWhere(options.filter);
-          }
-
-          const result = await queryBuilder.do();
-
-          if (!result.data?.Get?.[APOS_DOCS_SCHEMA.class]) {
-            return [];
-          }
-
-          return result.data.Get[APOS_DOCS_SCHEMA.class].map(doc => ({
-            pageContent: doc.content,
-            metadata: {
-              title: doc.title,
-              url: doc.url,
-              version: doc.version,
-              framework: doc.framework,
-              docType: doc.docType,
-              distance: doc._additional.distance,
-              certainty: doc._additional.certainty
-            }
-          }));
-        } catch (error) {
-          logger.error('Weaviate retrieval failed', error);
-          return [];
-        }
-      }
-    };
+    // Refuse to serve from a schema missing properties the queries read.
+    // Queries go through the AposDocs alias; the check needs the class behind it.
+    const activeClass = await new WeaviateAliases(WEAVIATE_URL, WEAVIATE_API_KEY).resolve(APOS_DOCS_SCHEMA.class);
+    // It also checks that the class was built with the configured embedding.
+    const embeddingConfig = getEmbeddingConfig();
+    const schema = await checkSchema(weaviateClient, activeClass, embeddingConfig);
+    if (schema.problems.length > 0) {
+      throw new Error(
+        `Weaviate schema of ${schema.className} is not compatible: ${schema.problems.join('; ')}. ` +
+        'Run `pnpm migrate` (or `pnpm ingest` on a fresh instance) first.'
+      );
+    }
+    if (schema.version > SCHEMA_VERSION) {
+      logger.warn(`Weaviate schema version ${schema.version} is newer than this server (${SCHEMA_VERSION})`);
+    }
+
+    const retrievalConfig = getRetrievalConfig();
+    const embeddings = createEmbeddingProvider(embeddingConfig);
+    weaviateRetriever = new WeaviateHybridRetriever(weaviateClient, {
+      ...retrievalConfig,
+      reranker: createReranker(retrievalConfig),
+      embeddings
+    });
 
-    logger.info('Weaviate retriever initialized');
+    endpointLookup = new EndpointLookup(weaviateClient);
+
+    logger.info('Weaviate retriever initialized', {
+      ...retrievalConfig,
+      embedding: embeddings?.name || 'weaviate'
+    });
   } catch (error) {
     logger.error('Failed to initialize Weaviate', error);
     throw error;
@@ -183,7 +207,7 @@ async function logToSlack(sessionId, question, answer, modelName) {
 /**
  * Log to MongoDB
  */
-async function logToMongo(sessionId, question, answer, modelName, source = 'web') {
+async function logToMongo(sessionId, question, answer, modelName, source = 'web', metadata) {
   if (!conversationCollection) return;
 
   try {
@@ -193,13 +217,60 @@ async function logToMongo(sessionId, question, answer, modelName, source = 'web'
       answer: answer,
       model: modelName,
       source: source,
-      timestamp: new Date()
+      timestamp: new Date(),
+      ...(metadata && { metadata })
     });
   } catch (error) {
     logger.error('Failed to log to MongoDB', error);
   }
 }
 
+/**
+ * Strip all HTML from a user-supplied query
+ * @param {*} text
+ * @returns {string}
+ */
+function sanitizeQuery(text) {
+  return sanitizeHtml(String(text ?? ''), {
+    allowedTags: [],
+    allowedAttributes: {}
+  }).trim();
+}
+
+/**
+ * Log a completed exchange to Slack and MongoDB
+ * @param {string} sessionId
+ * @param {string} question
+ * @param {import('@apos-chatbot/shared').ChatbotResponse} response
+ * @param {import('@apos-chatbot/shared').QuerySource} [source]
+ */
+async function logExchange(sessionId, question, response, source = 'web') {
+  const { answer } = response;
+  // Log the model that actually answered, which may be the fallback
+  const modelName = response.metadata?.model || queryHandler.getModelName();
+  await logToSlack(sessionId, question, answer, modelName);
+  await logToMongo(sessionId, question, answer, modelName, source);
+}
+
+/**
+ * Read and validate the query and session ID of a REST chat request
+ * @param {Object} params - Request body or query string
+ * @returns {{query: string, sessionId: string}|null} Null if the query is missing
+ */
+function parseChatRequest(params) {
+  const query = sanitizeQuery(params.query);
+  if (!query) {
+    return null;
+  }
+
+  return {
+    query,
+    sessionId: typeof params.sessionId === 'string' && params.sessionId
+      ? params.sessionId
+      : uuidv4()
+  };
+}
+
 // Routes
 app.get('/', (req, res) => {
   res.status(200).send('OK');
@@ -257,6 +328,82 @@ app.get('/export_conversations', async (req, res) => {
   }
 });
 
+app.post('/api/chat', limiter, async (req, res) => {
+  const chatRequest = parseChatRequest(req.body || {});
+  if (!chatRequest) {
+    return res.status(400).json({ error: 'A non-empty "query" is required' });
+  }
+
+  const { query, sessionId } = chatRequest;
+
+  try {
+    logger.info('Processing REST query', { sessionId, query: query.substring(0, 50) });
+
+    const response = await queryHandler.processQuery(query, {
+      sessionId,
+      source: 'web'
+    });
+
+    await logExchange(sessionId, query, response);
+
+    res.json({
+      ...response,
+      metadata: { ...response.metadata, sessionId }
+    });
+  } catch (error) {
+    logger.error('REST query processing failed', error);
+    res.status(500).json({ error: 'An error occurred while processing your query.' });
+  }
+});
+
+app.get('/api/chat/stream', limiter, async (req, res) => {
+  const chatRequest = parseChatRequest(req.query);
+  if (!chatRequest) {
+    return res.status(400).json({ error: 'A non-empty "query" is required' });
+  }
+
+  const { query, sessionId } = chatRequest;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  const sendEvent = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    logger.info('Processing SSE query', { sessionId, query: query.substring(0, 50) });
+
+    const response = await queryHandler.streamQuery(query, {
+      sessionId,
+      source: 'web'
+    }, (text) => {
+      sendEvent('answer_chunk', { text });
+    });
+
+    sendEvent('answer_done', {
+      ...response,
+      metadata: { ...response.metadata, sessionId }
+    });
+
+    await logExchange(sessionId, query, response);
+  } catch (error) {
+    logger.error('SSE query processing failed', error);
+    sendEvent('error', { message: 'An error occurred while processing your query.' });
+  } finally {
+    res.end();
+  }
+});
+
 // Socket.IO event handlers
 io.on('connection', (socket) => {
   let userSessionId = socket.handshake.query.user_session_id;
@@ -273,7 +420,7 @@ io.on('connection', (socket) => {
   socket.emit('session_id', { user_session_id: userSessionId });
   logger.info('Client connected', { sessionId: userSessionId });
 
-  socket.on('query', limiter, async (data) => {
+  socket.on('query', async (data) => {
     const session = sessions.get(socket.id);
     
     if (!session) {
@@ -286,13 +433,15 @@ io.on('connection', (socket) => {
       return;
     }
 
+    if (!socketLimiter.take(socket.handshake.address)) {
+      socket.emit('error', { message: 'Too many requests, please try again later.' });
+      return;
+    }
+
     session.requestInProgress = true;
 
     try {
-      const query = sanitizeHtml(data.query, {
-        allowedTags: [],
-        allowedAttributes: {}
-      });
+      const query = sanitizeQuery(data.query);
       const index = data.index || 0;
 
       logger.info('Processing query', { 
@@ -300,22 +449,24 @@ io.on('connection', (socket) => {
         query: query.substring(0, 50) 
       });
 
-      // Process query
-      const response = await queryHandler.processQuery(query, {
+      // Process query, streaming the answer as it is generated
+      const response = await queryHandler.streamQuery(query, {
         sessionId: session.userSessionId,
         source: 'web'
+      }, (text) => {
+        socket.emit('answer_chunk', { text, index });
       });
 
-      // Send response
-      socket.emit('answer', { 
-        text: response.answer, 
-        index 
+      // Signal completion with the assembled answer and its sources
+      socket.emit('answer_done', {
+        text: response.answer,
+        index,
+        sources: response.sources.map(({ content, ...source }) => source),
+        confidence: response.confidence
       });
 
       // Log
-      const modelName = queryHandler.getModelName();
-      await logToSlack(session.userSessionId, query, response.answer, modelName);
-      await logToMongo(session.userSessionId, query, response.answer, modelName);
+      await logExchange(session.userSessionId, query, response);
 
     } catch (error) {
       logger.error('Query processing failed', error);
@@ -327,8 +478,10 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('clear_session', () => {
+  socket.on('clear_session', async () => {
     sessions.delete(socket.id);
+    await historyStore.clear(userSessionId)
+      .catch(error => logger.error('Failed to clear history', error));
     logger.info('Session cleared', { sessionId: userSessionId });
     socket.disconnect(true);
   });
@@ -339,6 +492,27 @@ io.on('connection', (socket) => {
   });
 });
 
+/**
+ * Start the Discord bot if a token is configured
+ */
+async function initDiscord() {
+  if (!DISCORD_TOKEN) {
+    logger.info('DISCORD_TOKEN not set, Discord bot disabled');
+    return;
+  }
+
+  discordBot = new DiscordBot({
+    gateway: new DiscordGateway({
+      token: DISCORD_TOKEN,
+      clientId: DISCORD_CLIENT_ID
+    }),
+    queryHandler,
+    logToMongo
+  });
+
+  await discordBot.start();
+}
+
 // Initialize and start server
 async function start() {
   try {
@@ -348,8 +522,10 @@ async function start() {
     await initWeaviate();
     
     // Initialize query handler
-    queryHandler = new QueryHandler(weaviateRetriever);
+    queryHandler = new QueryHandler(weaviateRetriever, { historyStore, endpointLookup });
     logger.info('Query handler initialized');
+
+    await initDiscord();
     
     server.listen(PORT, '0.0.0.0', () => {
       logger.info(`Server running on port ${PORT}`);
@@ -365,6 +541,10 @@ async function start() {
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   
+  if (discordBot) {
+    await discordBot.stop();
+  }
+
   if (mongoClient) {
     await mongoClient.close();
   }
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Chat model provider registry
+ * Builds LangChain chat models from configuration. Providers cover OpenAI,
+ * any OpenAI-compatible endpoint (Ollama, llama.cpp, vLLM, ...) and Anthropic;
+ * more can be added with `registerProvider`.
+ */
+
+import { ChatOpenAI } from '@langchain/openai';
+import { ChatAnthropic } from '@langchain/anthropic';
+import { getFloatEnv, getNumberEnv } from '@apos-chatbot/shared';
+
+/**
+ * Configuration for one chat model
+ * @typedef {Object} ModelConfig
+ * @property {string} provider - Registered provider name ('openai', 'openai-compatible', 'anthropic', ...)
+ * @property {string} model - Model name sent to the provider
+ * @property {number} temperature - Sampling temperature
+ * @property {number} [maxTokens] - Maximum tokens to generate
+ * @property {string} [baseUrl] - API base URL, for proxies and local servers
+ * @property {string} [apiKey] - API key, defaults to the provider's usual environment variable
+ * @property {number} [timeoutMs] - Request timeout in milliseconds
+ * @property {number} [maxRetries] - Retries before giving up (and falling back)
+ */
+
+/**
+ * @callback ProviderFactory
+ * @param {ModelConfig} config
+ * @returns {import('@langchain/core/language_models/chat_models').BaseChatModel}
+ */
+
+/** Default model per provider when none is configured */
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  anthropic: 'claude-3-5-sonnet-20240620'
+};
+
+/** @type {Map<string, ProviderFactory>} */
+const providers = new Map();
+
+/**
+ * Register a chat model provider
+ * @param {string} name - Provider name used in configuration
+ * @param {ProviderFactory} factory - Creates a chat model from a config
+ */
+export function registerProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+registerProvider('openai', (config) => new ChatOpenAI({
+  modelName: config.model,
+  temperature: config.temperature,
+  maxTokens: config.maxTokens,
+  timeout: config.timeoutMs,
+  maxRetries: config.maxRetries,
+  ...(config.apiKey && { openAIApiKey: config.apiKey }),
+  configuration: config.baseUrl ? { baseURL: config.baseUrl } : undefined
+}));
+
+registerProvider('openai-compatible', (config) => {
+  if (!config.baseUrl) {
+    throw new Error(`Model ${config.model}: the openai-compatible provider requires a base URL`);
+  }
+
+  return new ChatOpenAI({
+    modelName: config.model,
+    temperature: config.temperature,
+    maxTokens: config.maxTokens,
+    timeout: config.timeoutMs,
+    maxRetries: config.maxRetries,
+    // Local servers usually ignore the key, but the client requires one
+    openAIApiKey: config.apiKey || 'not-needed',
+    configuration: { baseURL: config.baseUrl }
+  });
+});
+
+registerProvider('anthropic', (config) => new ChatAnthropic({
+  modelName: config.model,
+  temperature: config.temperature,
+  maxTokens: config.maxTokens,
+  maxRetries: config.maxRetries,
+  ...(config.apiKey && { anthropicApiKey: config.apiKey }),
+  ...(config.baseUrl && { anthropicApiUrl: config.baseUrl }),
+  clientOptions: config.timeoutMs ? { timeout: config.timeoutMs } : undefined
+}));
+
+/**
+ * Create a chat model from its configuration
+ * @param {ModelConfig} config
+ * @returns {import('@langchain/core/language_models/chat_models').BaseChatModel}
+ * @throws {Error} If the provider is not registered
+ */
+export function createChatModel(config) {
+  const factory = providers.get(config.provider);
+  if (!factory) {
+    throw new Error(`Unknown model provider: ${config.provider}. Registered: ${[...providers.keys()].join(', ')}`);
+  }
+  return factory(config);
+}
+
+/**
+ * Read a model configuration from environment variables with the given prefix
+ * @param {string} prefix - Variable prefix, e.g. 'LLM' or 'LLM_FALLBACK'
+ * @param {string} defaultProvider - Provider used when `${prefix}_PROVIDER` is not set
+ * @returns {ModelConfig}
+ */
+function readModelConfig(prefix, defaultProvider) {
+  const provider = process.env[`${prefix}_PROVIDER`] || defaultProvider;
+  const model = process.env[`${prefix}_MODEL`] || DEFAULT_MODELS[provider];
+
+  if (!model) {
+    throw new Error(`${prefix}_MODEL is required for the ${provider} provider`);
+  }
+
+  return {
+    provider,
+    model,
+    temperature: getFloatEnv(`${prefix}_TEMPERATURE`, 0),
+    maxTokens: getNumberEnv(`${prefix}_MAX_TOKENS`),
+    baseUrl: process.env[`${prefix}_BASE_URL`],
+    apiKey: process.env[`${prefix}_API_KEY`],
+    timeoutMs: getNumberEnv(`${prefix}_TIMEOUT_MS`, 60000),
+    maxRetries: getNumberEnv(`${prefix}_MAX_RETRIES`, 2)
+  };
+}
+
+/**
+ * Get the primary and optional fallback model configuration from the environment
+ * `CHAT_MODEL=ChatAnthropic` is still honoured when `LLM_PROVIDER` is not set.
+ * @returns {{primary: ModelConfig, fallback: ModelConfig|null}}
+ */
+export function getModelConfigs() {
+  const chatModel = process.env.CHAT_MODEL || 'ChatOpenAI';
+  const legacyProvider = chatModel === 'ChatOpenAI' ? 'openai' : 'anthropic';
+  const primary = readModelConfig('LLM', legacyProvider);
+
+  const hasFallback = process.env.LLM_FALLBACK_PROVIDER || process.env.LLM_FALLBACK_MODEL;
+  const fallback = hasFallback ? readModelConfig('LLM_FALLBACK', primary.provider) : null;
+
+  return { primary, fallback };
+}
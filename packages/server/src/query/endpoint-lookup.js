@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Exact lookup of API operations mentioned in a question
+ *
+ * Questions such as "what does PATCH /api/v1/@apostrophecms/page/:_id
+ * accept?" name an operation outright, so its page is fetched by the
+ * structured `httpMethod`/`apiPath`/`operationId` properties instead of
+ * relying on vector search to surface it. Mentioned paths may carry the
+ * server's base path, concrete IDs or `:param` placeholders; they are
+ * matched segment by segment against the indexed path templates.
+ */
+
+import { APOS_DOCS_SCHEMA, CONSTANTS, createLogger } from '@apos-chatbot/shared';
+import { DOC_FIELDS, toDocument } from './retriever.js';
+
+const logger = createLogger('EndpointLookup');
+
+/** "METHOD /path" mentions; the path must contain a slash */
+const METHOD_PATH_PATTERN = /\b(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS|TRACE)\s+[`'"]?([^\s`'"]*\/[^\s`'"]*)/gi;
+
+/** Punctuation around a mentioned path that is not part of it */
+const TRAILING_PUNCTUATION = /[?.,;:!)\]]+$/;
+
+/**
+ * An operation as indexed in Weaviate
+ * @typedef {Object} IndexedOperation
+ * @property {string} method - HTTP method in upper case
+ * @property {string} path - Path template, e.g. "/@apostrophecms/page/{_id}"
+ * @property {string} operationId - OpenAPI operationId, empty if the spec has none
+ */
+
+/**
+ * Finds operations named in a question and fetches their chunks
+ */
+export class EndpointLookup {
+  /**
+   * @param {import('weaviate-ts-client').WeaviateClient} client - Weaviate client
+   * @param {Object} [options]
+   * @param {string} [options.className] - Weaviate class holding the operation pages
+   * @param {number} [options.refreshMs] - How long the list of indexed operations is reused
+   * @param {number} [options.maxMatches] - Operations fetched for one question
+   */
+  constructor(client, options = {}) {
+    const {
+      className = APOS_DOCS_SCHEMA.class,
+      refreshMs = CONSTANTS.ENDPOINT_LOOKUP.REFRESH_MS,
+      maxMatches = CONSTANTS.ENDPOINT_LOOKUP.MAX_MATCHES
+    } = options;
+
+    this.client = client;
+    this.className = className;
+    this.refreshMs = refreshMs;
+    this.maxMatches = maxMatches;
+
+    /** @type {IndexedOperation[]} */
+    this.operations = [];
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Fetch the chunks of every operation the question names
+   * @param {string} query - Standalone question
+   * @returns {Promise<import('@apos-chatbot/shared').RetrievedDocument[]>} Chunks in page order, empty if none is named
+   */
+  async lookup(query) {
+    try {
+      const matches = matchOperations(query, await this.getOperations()).slice(0, this.maxMatches);
+      if (matches.length === 0) {
+        return [];
+      }
+
+      logger.info('Exact endpoint lookup', {
+        operations: matches.map(operation => `${operation.method} ${operation.path}`)
+      });
+
+      const results = await Promise.all(matches.map(operation => this.fetchOperation(operation)));
+      return results.flat();
+    } catch (error) {
+      logger.error('Endpoint lookup failed, using search only', error);
+      return [];
+    }
+  }
+
+  /**
+   * List indexed operations, reloading them once `refreshMs` has passed
+   * @returns {Promise<IndexedOperation[]>}
+   */
+  async getOperations() {
+    if (Date.now() - this.loadedAt < this.refreshMs) {
+      return this.operations;
+    }
+
+    const result = await this.client.graphql
+      .get()
+      .withClassName(this.className)
+      .withWhere({
+        operator: 'And',
+        operands: [
+          { path: ['apiPath'], operator: 'Like', valueText: '/*' },
+          { path: ['chunkIndex'], operator: 'Equal', valueInt: 0 }
+        ]
+      })
+      .withLimit(CONSTANTS.ENDPOINT_LOOKUP.MAX_OPERATIONS)
+      .withFields('httpMethod apiPath operationId')
+      .do();
+
+    this.operations = (result.data?.Get?.[this.className] || []).map(object => ({
+      method: object.httpMethod,
+      path: object.apiPath,
+      operationId: object.operationId || ''
+    }));
+    this.loadedAt = Date.now();
+
+    logger.debug(`Loaded ${this.operations.length} indexed operations`);
+    return this.operations;
+  }
+
+  /**
+   * Fetch all chunks of one operation's page
+   * @param {IndexedOperation} operation
+   * @returns {Promise<import('@apos-chatbot/shared').RetrievedDocument[]>}
+   */
+  async fetchOperation(operation) {
+    const result = await this.client.graphql
+      .get()
+      .withClassName(this.className)
+      .withWhere({
+        operator: 'And',
+        operands: [
+          { path: ['httpMethod'], operator: 'Equal', valueText: operation.method },
+          { path: ['apiPath'], operator: 'Equal', valueText: operation.path }
+        ]
+      })
+      .withLimit(CONSTANTS.ENDPOINT_LOOKUP.MAX_CHUNKS)
+      .withFields(`${DOC_FIELDS} chunkIndex _additional { id }`)
+      .do();
+
+    return (result.data?.Get?.[this.className] || [])
+      .sort((a, b) => a.chunkIndex - b.chunkIndex)
+      .map(object => {
+        const doc = toDocument(object);
+        doc.metadata.exactMatch = true;
+        return doc;
+      });
+  }
+}
+
+/**
+ * Find the operations a question names by "METHOD /path" or by operationId
+ * A path naming several templates picks the one with the most literal
+ * segments, so `/page/tree` prefers `/page/tree` over `/page/{_id}`.
+ * @param {string} query
+ * @param {IndexedOperation[]} operations
+ * @returns {IndexedOperation[]} Matches in order of mention, without duplicates
+ */
+export function matchOperations(query, operations) {
+  const matches = new Set();
+
+  for (const { method, path } of findMethodPaths(query)) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const operation of operations) {
+      if (operation.method !== method) continue;
+
+      const score = matchPath(operation.path, path);
+      if (score > bestScore) {
+        best = operation;
+        bestScore = score;
+      }
+    }
+
+    if (best) {
+      matches.add(best);
+    }
+  }
+
+  for (const operation of operations) {
+    if (operation.operationId && new RegExp(`\\b${escapeRegExp(operation.operationId)}\\b`).test(query)) {
+      matches.add(operation);
+    }
+  }
+
+  return [...matches];
+}
+
+/**
+ * Extract "METHOD /path" mentions from a question
+ * Full URLs are reduced to their path; query strings and fragments are dropped.
+ * @param {string} query
+ * @returns {{method: string, path: string}[]}
+ */
+export function findMethodPaths(query) {
+  const mentions = [];
+
+  for (const [, method, rawPath] of query.matchAll(METHOD_PATH_PATTERN)) {
+    let path = rawPath.replace(TRAILING_PUNCTUATION, '');
+    if (/^https?:\/\//i.test(path)) {
+      try {
+        path = new URL(path).pathname;
+      } catch {
+        continue;
+      }
+    }
+    path = path.split(/[?#]/)[0];
+
+    if (path.includes('/')) {
+      mentions.push({ method: method.toUpperCase(), path });
+    }
+  }
+
+  return mentions;
+}
+
+/**
+ * Match a mentioned path against a path template
+ * The template must match the end of the path, so a leading base path such
+ * as `/api/v1` is ignored. Template parameters match any segment; a
+ * placeholder in the mention (`:_id`, `{_id}`) only matches a parameter.
+ * @param {string} template - e.g. "/@apostrophecms/page/{_id}"
+ * @param {string} path - e.g. "/api/v1/@apostrophecms/page/:_id"
+ * @returns {number} Literal segments matched; 0 if the path does not match
+ */
+function matchPath(template, path) {
+  const templateSegments = splitPath(template);
+  const pathSegments = splitPath(path);
+  if (pathSegments.length < templateSegments.length) {
+    return 0;
+  }
+
+  const tail = pathSegments.slice(pathSegments.length - templateSegments.length);
+  let literals = 0;
+
+  for (const [index, segment] of templateSegments.entries()) {
+    if (isParameter(segment)) continue;
+    if (segment.toLowerCase() !== tail[index].toLowerCase()) {
+      return 0;
+    }
+    literals++;
+  }
+
+  return literals;
+}
+
+/**
+ * @param {string} path
+ * @returns {string[]} Non-empty segments
+ */
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+/**
+ * Whether a path segment is a parameter, in OpenAPI or Express notation
+ * @param {string} segment
+ * @returns {boolean}
+ */
+function isParameter(segment) {
+  return /^\{[^}]+\}$/.test(segment) || segment.startsWith(':');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
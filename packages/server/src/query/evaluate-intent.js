@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Evaluate an intent classifier against the labelled fixture
+ * Usage: node src/query/evaluate-intent.js [keyword|embedding|llm]
+ */
+
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import dotenv from 'dotenv';
+import { createIntentClassifier } from './intent-detector.js';
+import { createChatModel, getModelConfigs } from '../models/registry.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: join(__dirname, '../../../../.env') });
+
+const classifierName = process.argv[2] || 'keyword';
+
+/** @type {import('./intent-detector.js').LabelledQuery[]} */
+const fixture = JSON.parse(
+  await readFile(join(__dirname, 'fixtures/intent-eval.json'), 'utf-8')
+);
+
+const classifier = createIntentClassifier(/** @type {any} */ (classifierName), {
+  llm: classifierName === 'llm' ? createChatModel(getModelConfigs().primary) : undefined
+});
+
+console.log(`Evaluating ${classifier.name} classifier on ${fixture.length} labelled queries`);
+console.log('='.repeat(60));
+
+let scopeCorrect = 0;
+let typeCorrect = 0;
+const failures = [];
+
+for (const expected of fixture) {
+  const intent = await classifier.classify(expected.query);
+
+  const scopeOk = intent.inScope === expected.inScope;
+  const typeOk = intent.type === expected.type;
+  if (scopeOk) scopeCorrect++;
+  if (typeOk) typeCorrect++;
+
+  if (!scopeOk || !typeOk) {
+    failures.push({ expected, intent });
+  }
+}
+
+for (const { expected, intent } of failures) {
+  console.log(`\n❌ ${expected.query}`);
+  console.log(`   expected: ${expected.type}, inScope=${expected.inScope}`);
+  console.log(`   got:      ${intent.type}, inScope=${intent.inScope} (confidence ${intent.confidence.toFixed(2)})`);
+}
+
+const percent = count => `${((count / fixture.length) * 100).toFixed(1)}%`;
+
+console.log(`\n${'='.repeat(60)}`);
+console.log(`Scope accuracy: ${scopeCorrect}/${fixture.length} (${percent(scopeCorrect)})`);
+console.log(`Type accuracy:  ${typeCorrect}/${fixture.length} (${percent(typeCorrect)})`);
@@ -2,34 +2,57 @@
  * @fileoverview Query handler using LangChain and Weaviate
  */
 
-import { ChatOpenAI } from '@langchain/openai';
-import { ChatAnthropic } from '@langchain/anthropic';
-import { ChatMessageHistory } from 'langchain/stores/message/in_memory';
-import { 
-  createHistoryAwareRetriever,
-  createStuffDocumentsChain
-} from 'langchain/chains';
+import { createStuffDocumentsChain } from 'langchain/chains/combine_documents';
 import { RunnableWithMessageHistory } from '@langchain/core/runnables';
+import { StringOutputParser } from '@langchain/core/output_parsers';
 import { ChatPromptTemplate, MessagesPlaceholder } from '@langchain/core/prompts';
-import { CONSTANTS, createLogger } from '@apos-chatbot/shared';
-import { detectIntent, isApostropheRelated } from './intent-detector.js';
+import { CONSTANTS, createLogger, getConfidenceConfig } from '@apos-chatbot/shared';
+import { createIntentClassifier } from './intent-detector.js';
+import { createChatModel, getModelConfigs } from '../models/registry.js';
 
 const logger = createLogger('QueryHandler');
 
-// Store for conversation histories
-/** @type {Map<string, ChatMessageHistory>} */
-const conversationHistories = new Map();
+/**
+ * Clamp a value to the 0-1 range
+ * @param {number} value
+ * @returns {number}
+ */
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Read the vector distance of a retrieved document
+ * Falls back to deriving it from certainty (cosine: certainty = 1 - distance / 2).
+ * @param {Object} metadata - Retrieved document metadata
+ * @returns {number|null}
+ */
+function getDistance(metadata) {
+  if (typeof metadata?.distance === 'number') {
+    return metadata.distance;
+  }
+  if (typeof metadata?.certainty === 'number') {
+    return 2 * (1 - metadata.certainty);
+  }
+  return null;
+}
 
 /**
- * Get or create conversation history for a session
- * @param {string} sessionId
- * @returns {ChatMessageHistory}
+ * Put exactly looked-up documents first and fill up with search results
+ * Search results already fetched exactly are dropped, and the list keeps the
+ * retriever's length unless the exact documents alone are longer.
+ * @param {import('@apos-chatbot/shared').RetrievedDocument[]} exactDocs
+ * @param {import('@apos-chatbot/shared').RetrievedDocument[]} searchDocs
+ * @returns {import('@apos-chatbot/shared').RetrievedDocument[]}
  */
-function getSessionHistory(sessionId) {
-  if (!conversationHistories.has(sessionId)) {
-    conversationHistories.set(sessionId, new ChatMessageHistory());
+function mergeExactDocs(exactDocs, searchDocs) {
+  if (exactDocs.length === 0) {
+    return searchDocs;
   }
-  return conversationHistories.get(sessionId);
+
+  const exactIds = new Set(exactDocs.map(doc => doc.metadata.id));
+  const rest = searchDocs.filter(doc => !exactIds.has(doc.metadata.id));
+  return [...exactDocs, ...rest.slice(0, Math.max(0, searchDocs.length - exactDocs.length))];
 }
 
 /**
@@ -38,35 +61,79 @@ function getSessionHistory(sessionId) {
 export class QueryHandler {
   /**
    * @param {Object} weaviateRetriever - Weaviate retriever instance
+   * @param {Object} options
+   * @param {import('./history-store.js').MongoHistoryStore} options.historyStore - Conversation history store
+   * @param {Partial<import('@apos-chatbot/shared').ConfidenceConfig>} [options.confidence] - Confidence overrides
+   * @param {import('./intent-detector.js').IntentClassifier} [options.classifier] - Intent classifier,
+   *   defaults to the strategy named by INTENT_CLASSIFIER
+   * @param {import('./endpoint-lookup.js').EndpointLookup} [options.endpointLookup] - Exact lookup of
+   *   API operations named in the question
    */
-  constructor(weaviateRetriever) {
+  constructor(weaviateRetriever, { historyStore, confidence, classifier, endpointLookup }) {
     this.retriever = weaviateRetriever;
+    this.historyStore = historyStore;
+    this.endpointLookup = endpointLookup || null;
+    this.confidenceConfig = { ...getConfidenceConfig(), ...confidence };
     this.currentModel = null;
     this.setupChain();
+
+    this.classifier = classifier || createIntentClassifier(
+      /** @type {'keyword' | 'embedding' | 'llm'} */ (process.env.INTENT_CLASSIFIER || 'keyword'),
+      { llm: this.llm }
+    );
+    logger.info(`Using ${this.classifier.name} intent classifier`);
   }
 
   /**
    * Setup the LangChain conversational chain
    */
   setupChain() {
-    // Initialize LLM based on environment
-    const modelChoice = process.env.CHAT_MODEL || 'ChatOpenAI';
-    
-    if (modelChoice === 'ChatOpenAI') {
-      this.llm = new ChatOpenAI({
-        temperature: 0,
-        modelName: 'gpt-4o'
-      });
-      this.currentModel = 'gpt-4o';
-    } else {
-      this.llm = new ChatAnthropic({
-        temperature: 0.0,
-        modelName: 'claude-3-5-sonnet-20240620'
-      });
-      this.currentModel = 'claude-3-5-sonnet-20240620';
+    // Initialize the primary and optional fallback models from the environment
+    const { primary, fallback } = getModelConfigs();
+
+    /** @type {{name: string, llm: import('@langchain/core/language_models/chat_models').BaseChatModel}[]} */
+    this.models = [primary, fallback]
+      .filter(Boolean)
+      .map(config => ({ name: config.model, llm: createChatModel(config) }));
+
+    // Helper calls (question condensing, classification) fall back automatically
+    const [primaryModel, ...fallbackModels] = this.models;
+    this.llm = fallbackModels.length > 0
+      ? primaryModel.llm.withFallbacks({ fallbacks: fallbackModels.map(model => model.llm) })
+      : primaryModel.llm;
+    this.currentModel = primaryModel.name;
+
+    logger.info(`Initialized with model: ${this.currentModel}`, {
+      fallback: fallbackModels[0]?.name
+    });
+  }
+
+  /**
+   * Run an answer generation step, falling back to the next model on error or timeout
+   * @template T
+   * @param {(llm: import('@langchain/core/language_models/chat_models').BaseChatModel) => Promise<T>} run - Generation step
+   * @param {() => boolean} [canFallback] - Whether a failure may still be retried on the next model
+   * @returns {Promise<{result: T, model: string}>} Result and the name of the model that produced it
+   */
+  async runWithFallback(run, canFallback = () => true) {
+    let lastError;
+
+    for (const [index, model] of this.models.entries()) {
+      try {
+        const result = await run(model.llm);
+        this.currentModel = model.name;
+        return { result, model: model.name };
+      } catch (error) {
+        lastError = error;
+        const next = this.models[index + 1];
+        if (!next || !canFallback()) {
+          break;
+        }
+        logger.warn(`Model ${model.name} failed, falling back to ${next.name}`, error);
+      }
     }
 
-    logger.info(`Initialized with model: ${this.currentModel}`);
+    throw lastError;
   }
 
   /**
@@ -77,103 +144,244 @@ export class QueryHandler {
    */
   async processQuery(query, context) {
     const startTime = Date.now();
-    
-    // Check if query is ApostropheCMS-related
-    if (!isApostropheRelated(query)) {
+
+    const prepared = await this.prepareQuery(query, context, startTime);
+    if (prepared.response) {
+      return prepared.response;
+    }
+
+    // Get response from LLM, answering the original question from the retrieved documents
+    const { result: answer, model } = await this.runWithFallback(async (llm) => {
+      const chain = await this.createConversationalChain(llm);
+      return chain.invoke(
+        { input: query, context: prepared.retrievedDocs },
+        this.getChainConfig(context)
+      );
+    });
+
+    return this.buildResponse(answer, prepared, startTime, model);
+  }
+
+  /**
+   * Process a user query, streaming the answer as it is generated
+   * @param {string} query - User's question
+   * @param {import('@apos-chatbot/shared').QueryContext} context - Query context
+   * @param {(chunk: string) => void} onChunk - Called with each piece of the answer
+   * @returns {Promise<import('@apos-chatbot/shared').ChatbotResponse>} Response with the fully assembled answer
+   */
+  async streamQuery(query, context, onChunk) {
+    const startTime = Date.now();
+
+    const prepared = await this.prepareQuery(query, context, startTime);
+    if (prepared.response) {
+      // Canned answers are sent as a single chunk
+      onChunk(prepared.response.answer);
+      return prepared.response;
+    }
+
+    let answer = '';
+
+    // Once chunks have reached the client, a failure can no longer fall back
+    const { model } = await this.runWithFallback(async (llm) => {
+      const chain = await this.createConversationalChain(llm);
+      const stream = await chain.stream(
+        { input: query, context: prepared.retrievedDocs },
+        this.getChainConfig(context)
+      );
+
+      for await (const text of stream) {
+        if (!text) continue;
+
+        answer += text;
+        onChunk(text);
+      }
+    }, () => answer === '');
+
+    return this.buildResponse(answer, prepared, startTime, model);
+  }
+
+  /**
+   * Condense the question, then run scope checks, intent detection and retrieval
+   * Follow-up questions such as "what about for pieces?" are rewritten into a
+   * standalone question first, and everything downstream works on that.
+   * API operations named in the question ("PATCH /api/v1/...", an operationId)
+   * are fetched exactly and lead the retrieved documents; such questions are
+   * always in scope and answered with full confidence.
+   * @param {string} query - User's question
+   * @param {import('@apos-chatbot/shared').QueryContext} context - Query context
+   * @param {number} startTime - When processing started
+   * @returns {Promise<{response?: import('@apos-chatbot/shared').ChatbotResponse, rewrittenQuery: string, intent?: import('@apos-chatbot/shared').QueryIntent, retrievedDocs?: Array, confidence?: number}>}
+   *   Either a final `response` that should be returned as-is, or the retrieval results
+   */
+  async prepareQuery(query, context, startTime) {
+    const rewrittenQuery = await this.condenseQuestion(query, context);
+
+    const exactDocs = this.endpointLookup
+      ? await this.endpointLookup.lookup(rewrittenQuery)
+      : [];
+
+    // Detect intent and check if query is ApostropheCMS-related
+    const intent = await this.classifier.classify(rewrittenQuery);
+    logger.info('Query intent', { intent, sessionId: context.sessionId });
+
+    if (!intent.inScope && exactDocs.length === 0) {
       return {
-        answer: CONSTANTS.RESPONSES.OUT_OF_SCOPE,
-        sources: [],
-        intent: { type: 'general', confidence: 0, frameworks: [] },
-        confidence: 0,
-        metadata: {
-          model: this.currentModel,
-          processingTime: Date.now() - startTime
+        response: {
+          answer: CONSTANTS.RESPONSES.OUT_OF_SCOPE,
+          sources: [],
+          intent,
+          confidence: 0,
+          metadata: this.buildMetadata(startTime, rewrittenQuery)
         }
       };
     }
     
-    // Detect intent
-    const intent = detectIntent(query);
-    logger.info('Query intent', { intent, sessionId: context.sessionId });
-    
     // Build Weaviate filter based on intent
     const filter = this.buildWeaviateFilter(intent);
     
-    // Retrieve relevant documents
-    const retrievedDocs = await this.retriever.invoke(query, {
+    // Retrieve relevant documents for the standalone question
+    const searchDocs = await this.retriever.invoke(rewrittenQuery, {
       filter
     });
+    const retrievedDocs = mergeExactDocs(exactDocs, searchDocs || []);
     
     if (!retrievedDocs || retrievedDocs.length === 0) {
       return {
-        answer: CONSTANTS.RESPONSES.EMPTY_KNOWLEDGE_BASE,
-        sources: [],
-        intent,
-        confidence: 0,
-        metadata: {
-          model: this.currentModel,
-          processingTime: Date.now() - startTime
+        response: {
+          answer: CONSTANTS.RESPONSES.EMPTY_KNOWLEDGE_BASE,
+          sources: [],
+          intent,
+          confidence: 0,
+          metadata: this.buildMetadata(startTime, rewrittenQuery)
         }
       };
     }
     
     // Calculate confidence based on relevance scores
-    const confidence = this.calculateConfidence(retrievedDocs);
+    const confidence = exactDocs.length > 0 ? 1 : this.calculateConfidence(retrievedDocs);
     
-    if (confidence < CONSTANTS.CONFIDENCE.LOW) {
+    if (confidence < this.confidenceConfig.low) {
       return {
-        answer: CONSTANTS.RESPONSES.LOW_CONFIDENCE,
-        sources: retrievedDocs.map(doc => ({
-          content: doc.pageContent,
-          url: doc.metadata.url,
-          title: doc.metadata.title,
-          distance: 0,
-          certainty: 0
-        })),
-        intent,
-        confidence,
-        metadata: {
-          model: this.currentModel,
-          processingTime: Date.now() - startTime
+        response: {
+          answer: CONSTANTS.RESPONSES.LOW_CONFIDENCE,
+          sources: this.formatSources(retrievedDocs),
+          intent,
+          confidence,
+          metadata: this.buildMetadata(startTime, rewrittenQuery)
         }
       };
     }
-    
-    // Create the conversational chain
-    const chain = await this.createConversationalChain();
-    
-    // Get response from LLM
-    const response = await chain.invoke(
-      { input: query },
-      { 
-        configurable: { sessionId: context.sessionId },
-        callbacks: [
-          {
-            handleLLMEnd: (output) => {
-              logger.debug('LLM response generated', {
-                sessionId: context.sessionId
-              });
-            }
-          }
-        ]
-      }
-    );
-    
+
+    return { rewrittenQuery, intent, retrievedDocs, confidence };
+  }
+
+  /**
+   * Rewrite a follow-up question into a standalone question using the chat history
+   * @param {string} query - User's question
+   * @param {import('@apos-chatbot/shared').QueryContext} context - Query context
+   * @returns {Promise<string>} The standalone question, or the original if there is no history
+   */
+  async condenseQuestion(query, context) {
+    const chatHistory = await this.historyStore
+      .getMessageHistory(context.sessionId)
+      .getMessages();
+
+    if (chatHistory.length === 0) {
+      return query;
+    }
+
+    try {
+      const condenseChain = ChatPromptTemplate.fromMessages([
+        ['system', `Given a chat history and the latest user question which might reference context in the chat history, formulate a standalone question which can be understood without the chat history. Match the language of the question or chat history. Do NOT answer the question, just reformulate it if needed and otherwise return it as is.`],
+        new MessagesPlaceholder('chat_history'),
+        ['human', '{input}'],
+      ]).pipe(this.llm).pipe(new StringOutputParser());
+
+      const standalone = (await condenseChain.invoke({
+        input: query,
+        chat_history: chatHistory
+      })).trim();
+
+      logger.debug('Condensed question', { sessionId: context.sessionId, query, standalone });
+      return standalone || query;
+    } catch (error) {
+      logger.error('Failed to condense question, using it as is', error);
+      return query;
+    }
+  }
+
+  /**
+   * Build the final response for a generated answer
+   * @param {string} answer - Generated answer
+   * @param {{rewrittenQuery: string, intent: import('@apos-chatbot/shared').QueryIntent, retrievedDocs: Array, confidence: number}} prepared - Retrieval results
+   * @param {number} startTime - When processing started
+   * @param {string} model - Model that generated the answer
+   * @returns {import('@apos-chatbot/shared').ChatbotResponse}
+   */
+  buildResponse(answer, { rewrittenQuery, intent, retrievedDocs, confidence }, startTime, model) {
     return {
-      answer: response.answer,
-      sources: retrievedDocs.map(doc => ({
-        content: doc.pageContent,
-        url: doc.metadata.url || 'https://docs.apostrophecms.org',
-        title: doc.metadata.title || 'ApostropheCMS Documentation',
-        distance: 0,
-        certainty: 1
-      })),
+      answer,
+      sources: this.formatSources(retrievedDocs),
       intent,
       confidence,
-      metadata: {
-        model: this.currentModel,
-        processingTime: Date.now() - startTime
-      }
+      metadata: this.buildMetadata(startTime, rewrittenQuery, model)
+    };
+  }
+
+  /**
+   * Build response metadata
+   * @param {number} startTime - When processing started
+   * @param {string} rewrittenQuery - Standalone question used for retrieval
+   * @param {string} [model] - Model that generated the answer
+   * @returns {import('@apos-chatbot/shared').ChatbotResponse['metadata']}
+   */
+  buildMetadata(startTime, rewrittenQuery, model = this.currentModel) {
+    return {
+      model,
+      processingTime: Date.now() - startTime,
+      rewrittenQuery
+    };
+  }
+
+  /**
+   * Convert retrieved documents to response sources
+   * @param {Array} docs - Retrieved documents
+   * @returns {import('@apos-chatbot/shared').WeaviateSearchResult[]}
+   */
+  formatSources(docs) {
+    return docs.map(doc => {
+      const distance = getDistance(doc.metadata);
+      return {
+        content: doc.pageContent,
+        // Link straight to the part of the page the chunk came from
+        url: doc.metadata.anchorUrl || doc.metadata.url || 'https://docs.apostrophecms.org',
+        title: doc.metadata.title || 'ApostropheCMS Documentation',
+        section: doc.metadata.section,
+        distance,
+        certainty: typeof doc.metadata.certainty === 'number'
+          ? doc.metadata.certainty
+          : distance === null ? null : 1 - distance / 2
+      };
+    });
+  }
+
+  /**
+   * Build the runnable config for a chain call
+   * @param {import('@apos-chatbot/shared').QueryContext} context - Query context
+   * @returns {Object}
+   */
+  getChainConfig(context) {
+    return {
+      configurable: { sessionId: context.sessionId },
+      callbacks: [
+        {
+          handleLLMEnd: (output) => {
+            logger.debug('LLM response generated', {
+              sessionId: context.sessionId
+            });
+          }
+        }
+      ]
     };
   }
 
@@ -205,38 +413,60 @@ export class QueryHandler {
   }
 
   /**
-   * Calculate confidence score from retrieved documents
+   * Calculate confidence score from the vector distances of retrieved documents
+   * Combines how close the best hit is, how clearly it stands out from the
+   * rest (margin) and how well the other hits back it up (agreement).
    * @param {Array} docs
    * @returns {number}
    */
   calculateConfidence(docs) {
     if (!docs || docs.length === 0) return 0;
-    
-    // Simple heuristic: more docs = higher confidence
-    // In production, you'd use the actual certainty scores from Weaviate
-    const baseConfidence = Math.min(0.9, 0.5 + (docs.length * 0.1));
-    return baseConfidence;
+
+    const { strongDistance, weakDistance, marginWindow } = this.confidenceConfig;
+    const weights = CONSTANTS.CONFIDENCE.WEIGHTS;
+
+    const distances = docs
+      .map(doc => getDistance(doc.metadata))
+      .filter(distance => distance !== null)
+      .sort((a, b) => a - b);
+
+    if (distances.length === 0) {
+      logger.warn('Retrieved documents have no distances, using medium confidence');
+      return this.confidenceConfig.medium;
+    }
+
+    // Map a distance to 0 (irrelevant) .. 1 (strong match)
+    const toScore = distance => clamp01((weakDistance - distance) / (weakDistance - strongDistance));
+
+    const [best, ...rest] = distances;
+    const bestScore = toScore(best);
+
+    // A lone hit has no competition, so it gets the full margin but no agreement
+    let margin = 1;
+    let agreement = 0;
+    if (rest.length > 0) {
+      const restMean = rest.reduce((sum, distance) => sum + distance, 0) / rest.length;
+      margin = clamp01((restMean - best) / marginWindow);
+      agreement = rest.reduce((sum, distance) => sum + toScore(distance), 0) / rest.length;
+    }
+
+    const confidence = (weights.BEST * bestScore) +
+      (weights.MARGIN * margin) +
+      (weights.AGREEMENT * agreement);
+
+    logger.debug('Confidence calculated', { best, bestScore, margin, agreement, confidence });
+
+    return Math.round(confidence * 100) / 100;
   }
 
   /**
    * Create conversational RAG chain
+   * Takes `{ input, context }`, where `context` holds the retrieved documents,
+   * and streams the answer as a string.
+   * @param {import('@langchain/core/language_models/chat_models').BaseChatModel} llm - Model generating the answer
    * @returns {Promise<RunnableWithMessageHistory>}
    */
-  async createConversationalChain() {
-    // Contextualize question prompt
-    const contextualizePrompt = ChatPromptTemplate.fromMessages([
-      ['system', `Given a chat history and the latest user question which might reference context in the chat history, formulate a standalone question which can be understood without the chat history. Match the language of the question or chat history. Do NOT answer the question, just reformulate it if needed and otherwise return it as is.`],
-      new MessagesPlaceholder('chat_history'),
-      ['human', '{input}'],
-    ]);
-
-    // Create history-aware retriever
-    const historyAwareRetriever = await createHistoryAwareRetriever({
-      llm: this.llm,
-      retriever: this.retriever,
-      rephrasePrompt: contextualizePrompt,
-    });
-
+  async createConversationalChain(llm) {
     // System prompt for answering
     const systemPrompt = `You are a senior developer with extensive expertise in Node.js, Express.js, Nunjucks, Vue.js, Astro, and the ApostropheCMS ecosystem (version 3 and above). Your main responsibility is to assist junior developers by providing insightful answers to their questions about developing within the ApostropheCMS framework.
 
@@ -270,27 +500,23 @@ Context:
 
     // Create stuff documents chain
     const questionAnswerChain = await createStuffDocumentsChain({
-      llm: this.llm,
+      llm,
       prompt: qaPrompt,
     });
 
-    // Create retrieval chain (simplified - you may need to adjust based on your LangChain version)
-    const chain = questionAnswerChain;
-
     // Wrap with message history
     const conversationalChain = new RunnableWithMessageHistory({
-      runnable: chain,
-      getMessageHistory: getSessionHistory,
+      runnable: questionAnswerChain,
+      getMessageHistory: (sessionId) => this.historyStore.getMessageHistory(sessionId),
       inputMessagesKey: 'input',
       historyMessagesKey: 'chat_history',
-      outputMessagesKey: 'answer',
     });
 
     return conversationalChain;
   }
 
   /**
-   * Get current model name
+   * Get the name of the model that answered most recently
    * @returns {string}
    */
   getModelName() {
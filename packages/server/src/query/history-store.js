@@ -0,0 +1,170 @@
+/**
+ * @fileoverview MongoDB-backed conversation history
+ * Histories survive restarts and are shared between server instances. Each
+ * session is one document, keyed by `user_session_id`, that expires after a
+ * period of inactivity and keeps only the most recent turns.
+ */
+
+import { BaseListChatMessageHistory } from '@langchain/core/chat_history';
+import {
+  mapChatMessagesToStoredMessages,
+  mapStoredMessagesToChatMessages
+} from '@langchain/core/messages';
+import { createLogger } from '@apos-chatbot/shared';
+
+const logger = createLogger('HistoryStore');
+
+/** MongoDB error code when an index exists with different options */
+const INDEX_OPTIONS_CONFLICT = 85;
+
+/**
+ * Chat message history for a single session stored in MongoDB
+ */
+export class MongoChatMessageHistory extends BaseListChatMessageHistory {
+  lc_namespace = ['apos-chatbot', 'stores', 'message', 'mongodb'];
+
+  /**
+   * @param {Object} options
+   * @param {import('mongodb').Collection} options.collection - History collection
+   * @param {string} options.sessionId - User session ID
+   * @param {number} options.maxMessages - Number of most recent messages to keep
+   */
+  constructor({ collection, sessionId, maxMessages }) {
+    super();
+    this.collection = collection;
+    this.sessionId = sessionId;
+    this.maxMessages = maxMessages;
+  }
+
+  /**
+   * Get the stored messages for this session
+   * @returns {Promise<import('@langchain/core/messages').BaseMessage[]>}
+   */
+  async getMessages() {
+    const doc = await this.collection.findOne(
+      { user_session_id: this.sessionId },
+      { projection: { messages: 1 } }
+    );
+    return mapStoredMessagesToChatMessages(doc?.messages || []);
+  }
+
+  /**
+   * Append a message to this session
+   * @param {import('@langchain/core/messages').BaseMessage} message
+   * @returns {Promise<void>}
+   */
+  async addMessage(message) {
+    await this.addMessages([message]);
+  }
+
+  /**
+   * Append messages in a single write, trimming to the most recent turns
+   * @param {import('@langchain/core/messages').BaseMessage[]} messages
+   * @returns {Promise<void>}
+   */
+  async addMessages(messages) {
+    await this.collection.updateOne(
+      { user_session_id: this.sessionId },
+      {
+        $push: {
+          messages: {
+            $each: mapChatMessagesToStoredMessages(messages),
+            $slice: -this.maxMessages
+          }
+        },
+        $set: { updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Remove this session's history
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.collection.deleteOne({ user_session_id: this.sessionId });
+  }
+}
+
+/**
+ * Store handing out per-session MongoDB histories
+ */
+export class MongoHistoryStore {
+  /**
+   * @param {import('mongodb').Db} db - Database holding the history collection
+   * @param {Object} [options]
+   * @param {string} [options.collectionName='chat_histories'] - Collection name
+   * @param {number} [options.ttlSeconds] - Seconds of inactivity before a history expires
+   * @param {number} [options.maxTurns] - Question/answer pairs kept per session
+   */
+  constructor(db, options = {}) {
+    const {
+      collectionName = 'chat_histories',
+      ttlSeconds = 7 * 24 * 60 * 60,
+      maxTurns = 10
+    } = options;
+
+    this.db = db;
+    this.collection = db.collection(collectionName);
+    this.ttlSeconds = ttlSeconds;
+    this.maxTurns = maxTurns;
+  }
+
+  /**
+   * Create the session and TTL indexes
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.collection.createIndex({ user_session_id: 1 }, { unique: true });
+
+    try {
+      await this.collection.createIndex(
+        { updatedAt: 1 },
+        { expireAfterSeconds: this.ttlSeconds }
+      );
+    } catch (error) {
+      if (error.code !== INDEX_OPTIONS_CONFLICT) {
+        throw error;
+      }
+
+      // The TTL changed since the index was created
+      await this.db.command({
+        collMod: this.collection.collectionName,
+        index: {
+          keyPattern: { updatedAt: 1 },
+          expireAfterSeconds: this.ttlSeconds
+        }
+      });
+      logger.info(`Updated history TTL to ${this.ttlSeconds}s`);
+    }
+
+    logger.info('History store initialized', {
+      ttlSeconds: this.ttlSeconds,
+      maxTurns: this.maxTurns
+    });
+  }
+
+  /**
+   * Get the history for a session
+   * @param {string} sessionId - User session ID
+   * @returns {MongoChatMessageHistory}
+   */
+  getMessageHistory(sessionId) {
+    return new MongoChatMessageHistory({
+      collection: this.collection,
+      sessionId,
+      maxMessages: this.maxTurns * 2
+    });
+  }
+
+  /**
+   * Delete the history for a session
+   * @param {string} sessionId - User session ID
+   * @returns {Promise<void>}
+   */
+  async clear(sessionId) {
+    await this.getMessageHistory(sessionId).clear();
+  }
+}
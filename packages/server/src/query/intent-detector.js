@@ -1,12 +1,33 @@
 /**
  * @fileoverview Intent detection for user queries
- * Detects whether a query is about Astro, core ApostropheCMS, or general
+ * Detects whether a query is about Astro, core ApostropheCMS, or general, and
+ * whether it is in scope at all. Classification strategies are pluggable:
+ * keyword lists, similarity to labelled example queries, or an LLM.
  */
 
-import { CONSTANTS, createLogger } from '@apos-chatbot/shared';
+import { OpenAIEmbeddings } from '@langchain/openai';
+import { ChatPromptTemplate } from '@langchain/core/prompts';
+import { StringOutputParser } from '@langchain/core/output_parsers';
+import { CONSTANTS, createEmbeddingProvider, createLogger, getEmbeddingConfig } from '@apos-chatbot/shared';
+import { INTENT_EXAMPLES } from './intent-examples.js';
 
 const logger = createLogger('IntentDetector');
 
+/**
+ * Strategy that classifies a query's intent and scope
+ * @typedef {Object} IntentClassifier
+ * @property {string} name - Classifier name for logs
+ * @property {(query: string) => Promise<import('@apos-chatbot/shared').QueryIntent>} classify
+ */
+
+/**
+ * Labelled query used as an example or for evaluation
+ * @typedef {Object} LabelledQuery
+ * @property {string} query - Query text
+ * @property {import('@apos-chatbot/shared').IntentType} type - Expected intent type
+ * @property {boolean} inScope - Whether the query is about ApostropheCMS development
+ */
+
 /**
  * Detect user intent from query text
  * @param {string} query - User's query
@@ -22,18 +43,7 @@ export function detectIntent(query) {
   );
   
   // Check for framework mentions
-  /** @type {import('@apos-chatbot/shared').Framework[]} */
-  const frameworks = [];
-  
-  if (astroMatches.length > 0 || lowerQuery.includes('astro')) {
-    frameworks.push('astro');
-  }
-  if (lowerQuery.includes('vue')) {
-    frameworks.push('vue');
-  }
-  if (lowerQuery.includes('nunjucks')) {
-    frameworks.push('nunjucks');
-  }
+  const frameworks = detectFrameworks(query);
   
   // Determine primary intent type
   let type = 'general';
@@ -69,21 +79,7 @@ export function detectIntent(query) {
   }
   
   // Suggest filters based on intent
-  const suggestedFilters = {
-    prioritizeAstro: type === 'astro'
-  };
-  
-  // Detect version mentions
-  if (lowerQuery.includes('version 3') || lowerQuery.includes('v3')) {
-    suggestedFilters.version = '3.x';
-  }
-  
-  // Detect doc type
-  if (lowerQuery.includes('tutorial') || lowerQuery.includes('how to')) {
-    suggestedFilters.docType = 'tutorial';
-  } else if (lowerQuery.includes('reference') || lowerQuery.includes('api')) {
-    suggestedFilters.docType = 'reference';
-  }
+  const suggestedFilters = suggestFilters(query, type);
   
   logger.debug('Intent detected', {
     query: query.substring(0, 50),
@@ -100,6 +96,61 @@ export function detectIntent(query) {
   };
 }
 
+/**
+ * Detect frameworks mentioned in a query
+ * @param {string} query
+ * @returns {import('@apos-chatbot/shared').Framework[]}
+ */
+export function detectFrameworks(query) {
+  const lowerQuery = query.toLowerCase();
+
+  /** @type {import('@apos-chatbot/shared').Framework[]} */
+  const frameworks = [];
+
+  const mentionsAstro = CONSTANTS.ASTRO_KEYWORDS.some(keyword =>
+    lowerQuery.includes(keyword.toLowerCase())
+  );
+  if (mentionsAstro) {
+    frameworks.push('astro');
+  }
+  if (lowerQuery.includes('vue')) {
+    frameworks.push('vue');
+  }
+  if (lowerQuery.includes('nunjucks')) {
+    frameworks.push('nunjucks');
+  }
+
+  return frameworks;
+}
+
+/**
+ * Suggest search filters for a query
+ * @param {string} query
+ * @param {import('@apos-chatbot/shared').IntentType} type - Detected intent type
+ * @returns {NonNullable<import('@apos-chatbot/shared').QueryIntent['suggestedFilters']>}
+ */
+export function suggestFilters(query, type) {
+  const lowerQuery = query.toLowerCase();
+
+  const suggestedFilters = {
+    prioritizeAstro: type === 'astro'
+  };
+
+  // Detect version mentions
+  if (lowerQuery.includes('version 3') || lowerQuery.includes('v3')) {
+    suggestedFilters.version = '3.x';
+  }
+
+  // Detect doc type
+  if (lowerQuery.includes('tutorial') || lowerQuery.includes('how to')) {
+    suggestedFilters.docType = 'tutorial';
+  } else if (lowerQuery.includes('reference') || lowerQuery.includes('api')) {
+    suggestedFilters.docType = 'reference';
+  }
+
+  return suggestedFilters;
+}
+
 /**
  * Check if query is related to ApostropheCMS
  * @param {string} query
@@ -144,3 +195,229 @@ export function calculateKeywordSimilarity(query, content) {
   
   return queryTerms.length > 0 ? matches / queryTerms.length : 0;
 }
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Build a QueryIntent from a classified type and scope
+ * Frameworks and filters still come from the query text.
+ * @param {string} query
+ * @param {import('@apos-chatbot/shared').IntentType} type
+ * @param {number} confidence
+ * @param {boolean} inScope
+ * @returns {import('@apos-chatbot/shared').QueryIntent}
+ */
+function buildIntent(query, type, confidence, inScope) {
+  return {
+    type,
+    confidence,
+    inScope,
+    frameworks: detectFrameworks(query),
+    suggestedFilters: suggestFilters(query, type)
+  };
+}
+
+/**
+ * Classifier using the keyword lists in `detectIntent` and `isApostropheRelated`
+ * @implements {IntentClassifier}
+ */
+export class KeywordClassifier {
+  name = 'keyword';
+
+  /**
+   * @param {string} query
+   * @returns {Promise<import('@apos-chatbot/shared').QueryIntent>}
+   */
+  async classify(query) {
+    return {
+      ...detectIntent(query),
+      inScope: isApostropheRelated(query)
+    };
+  }
+}
+
+/**
+ * Classifier voting between the labelled example queries most similar to the query
+ * @implements {IntentClassifier}
+ */
+export class EmbeddingClassifier {
+  name = 'embedding';
+
+  /**
+   * @param {Object} options
+   * @param {import('@langchain/core/embeddings').Embeddings} options.embeddings - Embedding model
+   * @param {LabelledQuery[]} [options.examples] - Labelled example queries
+   * @param {number} [options.k=5] - Number of nearest examples that vote
+   */
+  constructor({ embeddings, examples = INTENT_EXAMPLES, k = 5 }) {
+    this.embeddings = embeddings;
+    this.examples = examples;
+    this.k = k;
+    /** @type {Promise<number[][]>|null} */
+    this.exampleVectors = null;
+  }
+
+  /**
+   * Embed the examples once
+   * @returns {Promise<number[][]>}
+   */
+  loadExamples() {
+    if (!this.exampleVectors) {
+      this.exampleVectors = this.embeddings.embedDocuments(
+        this.examples.map(example => example.query)
+      );
+      this.exampleVectors.catch(() => {
+        this.exampleVectors = null;
+      });
+    }
+    return this.exampleVectors;
+  }
+
+  /**
+   * @param {string} query
+   * @returns {Promise<import('@apos-chatbot/shared').QueryIntent>}
+   */
+  async classify(query) {
+    const [exampleVectors, queryVector] = await Promise.all([
+      this.loadExamples(),
+      this.embeddings.embedQuery(query)
+    ]);
+
+    const nearest = this.examples
+      .map((example, index) => ({
+        example,
+        similarity: cosineSimilarity(queryVector, exampleVectors[index])
+      }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, this.k);
+
+    // Similarity-weighted vote; out-of-scope examples vote for their own label
+    /** @type {Map<string, number>} */
+    const votes = new Map();
+    let total = 0;
+    for (const { example, similarity } of nearest) {
+      const label = example.inScope ? example.type : 'out_of_scope';
+      const weight = Math.max(similarity, 0);
+      votes.set(label, (votes.get(label) || 0) + weight);
+      total += weight;
+    }
+
+    const [label, weight] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0];
+    const confidence = total > 0 ? weight / total : 0;
+
+    logger.debug('Embedding classification', {
+      query: query.substring(0, 50),
+      label,
+      confidence
+    });
+
+    if (label === 'out_of_scope') {
+      return buildIntent(query, 'general', confidence, false);
+    }
+    return buildIntent(query, /** @type {import('@apos-chatbot/shared').IntentType} */ (label), confidence, true);
+  }
+}
+
+/**
+ * Classifier asking an LLM for the intent and scope
+ * Falls back to the keyword classifier if the LLM fails or answers with
+ * something that is not the expected JSON.
+ * @implements {IntentClassifier}
+ */
+export class LLMClassifier {
+  name = 'llm';
+
+  /**
+   * @param {Object} options
+   * @param {import('@langchain/core/language_models/chat_models').BaseChatModel} options.llm - Chat model
+   */
+  constructor({ llm }) {
+    this.fallback = new KeywordClassifier();
+    this.chain = ChatPromptTemplate.fromMessages([
+      ['system', `You classify questions sent to an ApostropheCMS developer assistant.
+
+A question is in scope if it is about building, configuring or deploying ApostropheCMS sites, including its use of Node.js, Express, MongoDB, Vue, Nunjucks and Astro. Questions about content modelling (custom fields, blog posts, pages, widgets) count even if they do not name ApostropheCMS.
+
+Respond with JSON only, in this form:
+{{"inScope": true, "type": "core", "confidence": 0.9}}
+
+"type" is "astro" for questions about the Astro integration, "core" for other in-scope questions and "general" for out-of-scope questions. "confidence" is between 0 and 1.`],
+      ['human', '{query}']
+    ]).pipe(llm).pipe(new StringOutputParser());
+  }
+
+  /**
+   * @param {string} query
+   * @returns {Promise<import('@apos-chatbot/shared').QueryIntent>}
+   */
+  async classify(query) {
+    try {
+      const output = await this.chain.invoke({ query });
+      const json = output.match(/\{[\s\S]*\}/)?.[0];
+      if (!json) {
+        throw new Error(`No JSON in classifier output: ${output}`);
+      }
+
+      const result = JSON.parse(json);
+      const inScope = Boolean(result.inScope);
+      /** @type {import('@apos-chatbot/shared').IntentType} */
+      let type = result.type === 'astro' || result.type === 'core' ? result.type : 'general';
+      if (inScope && type === 'general') {
+        type = 'core';
+      }
+      const confidence = typeof result.confidence === 'number'
+        ? Math.min(1, Math.max(0, result.confidence))
+        : 0.5;
+
+      return buildIntent(query, inScope ? type : 'general', confidence, inScope);
+    } catch (error) {
+      logger.error('LLM classification failed, using keyword classifier', error);
+      return this.fallback.classify(query);
+    }
+  }
+}
+
+/**
+ * Create an intent classifier
+ * @param {'keyword' | 'embedding' | 'llm'} name - Classifier strategy
+ * @param {Object} [options]
+ * @param {import('@langchain/core/language_models/chat_models').BaseChatModel} [options.llm] - Chat model for the LLM classifier
+ * @param {import('@langchain/core/embeddings').Embeddings} [options.embeddings] - Embeddings for the embedding classifier;
+ *   defaults to the configured embedding provider, or OpenAI when Weaviate vectorizes
+ * @returns {IntentClassifier}
+ */
+export function createIntentClassifier(name, options = {}) {
+  switch (name) {
+    case 'keyword':
+      return new KeywordClassifier();
+    case 'embedding':
+      return new EmbeddingClassifier({
+        embeddings: options.embeddings ||
+          createEmbeddingProvider(getEmbeddingConfig()) ||
+          new OpenAIEmbeddings({ modelName: 'text-embedding-3-small' })
+      });
+    case 'llm':
+      if (!options.llm) {
+        throw new Error('The LLM intent classifier requires a chat model');
+      }
+      return new LLMClassifier({ llm: options.llm });
+    default:
+      throw new Error(`Unknown intent classifier: ${name}`);
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Labelled example queries for the embedding intent classifier
+ * Keep these distinct from the evaluation fixture in `fixtures/intent-eval.json`
+ * so evaluation results are not inflated.
+ */
+
+/** @type {import('./intent-detector.js').LabelledQuery[]} */
+export const INTENT_EXAMPLES = [
+  // Core ApostropheCMS
+  { query: 'How do I create a custom widget?', type: 'core', inScope: true },
+  { query: 'How can I add a new field to a piece type?', type: 'core', inScope: true },
+  { query: 'What is the difference between pieces and pages?', type: 'core', inScope: true },
+  { query: 'How do I configure the rich text toolbar?', type: 'core', inScope: true },
+  { query: 'How do I add a relationship field between two content types?', type: 'core', inScope: true },
+  { query: 'Where do I put my Nunjucks templates for a page type?', type: 'core', inScope: true },
+  { query: 'How do I extend a method from a base module?', type: 'core', inScope: true },
+  { query: 'How do I add custom REST API routes to a module?', type: 'core', inScope: true },
+  { query: 'How do I set up localization for my site?', type: 'core', inScope: true },
+  { query: 'How do I upload and crop images in the media library?', type: 'core', inScope: true },
+  { query: 'How do I deploy my site to production with MongoDB Atlas?', type: 'core', inScope: true },
+  { query: 'How do I add a category filter to my blog index page?', type: 'core', inScope: true },
+  { query: 'How can editors schedule content to publish later?', type: 'core', inScope: true },
+  { query: 'How do I write a database migration when I rename a field?', type: 'core', inScope: true },
+  { query: 'How do I add a custom Vue component to the admin UI?', type: 'core', inScope: true },
+  { query: 'How do I restrict who can edit certain documents?', type: 'core', inScope: true },
+  { query: 'How do I add frontend JavaScript and SCSS to my project?', type: 'core', inScope: true },
+  { query: 'How do I create a global settings document for the footer?', type: 'core', inScope: true },
+
+  // Astro integration
+  { query: 'How do I render an ApostropheCMS area in an Astro component?', type: 'astro', inScope: true },
+  { query: 'How do I map widget types to Astro components?', type: 'astro', inScope: true },
+  { query: 'How do I set up apostrophe-astro for a new project?', type: 'astro', inScope: true },
+  { query: 'Can I use client-side islands in my Astro frontend for Apostrophe?', type: 'astro', inScope: true },
+  { query: 'How do I access page data in an Astro template?', type: 'astro', inScope: true },
+  { query: 'How do I deploy the Astro frontend and Apostrophe backend separately?', type: 'astro', inScope: true },
+
+  // Out of scope
+  { query: 'What is the best pizza topping?', type: 'general', inScope: false },
+  { query: 'Can you write me a poem about the ocean?', type: 'general', inScope: false },
+  { query: 'How do I fix my car engine?', type: 'general', inScope: false },
+  { query: 'What is the capital of Australia?', type: 'general', inScope: false },
+  { query: 'How do I center a div in WordPress?', type: 'general', inScope: false },
+  { query: 'Tell me a joke about programmers', type: 'general', inScope: false },
+  { query: 'How do I install Python on Windows?', type: 'general', inScope: false },
+  { query: 'What stocks should I buy this year?', type: 'general', inScope: false },
+  { query: 'Translate this sentence into French', type: 'general', inScope: false },
+  { query: 'How do I create a React Native app?', type: 'general', inScope: false }
+];
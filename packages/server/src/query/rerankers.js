@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Rerankers applied to retrieval candidates
+ * A reranker takes the query and candidate documents and returns them in a new
+ * order, each with `metadata.rerankScore` set.
+ */
+
+import { createLogger } from '@apos-chatbot/shared';
+
+const logger = createLogger('Reranker');
+
+/**
+ * @typedef {Object} Reranker
+ * @property {string} name - Reranker name for logs
+ * @property {(query: string, docs: import('@apos-chatbot/shared').RetrievedDocument[]) => Promise<import('@apos-chatbot/shared').RetrievedDocument[]>} rerank
+ */
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'how', 'what', 'does', 'can', 'with', 'this', 'that',
+  'are', 'use', 'using', 'from', 'into', 'about', 'when', 'why', 'which', 'you', 'your'
+]);
+
+/**
+ * Split text into lowercase terms, keeping code identifiers such as
+ * `apos.area.renderArea` or `@apostrophecms/page` whole
+ * @param {string} text
+ * @returns {{term: string, code: boolean}[]}
+ */
+function extractTerms(text) {
+  const tokens = text.match(/[@\w$][\w$.@/-]*[\w$]/g) || [];
+  const seen = new Set();
+  const terms = [];
+
+  for (const token of tokens) {
+    const term = token.toLowerCase();
+    if (term.length < 3 || STOPWORDS.has(term) || seen.has(term)) {
+      continue;
+    }
+    seen.add(term);
+    terms.push({
+      term,
+      // Dotted paths, scoped packages, snake_case and camelCase look like code
+      code: /[.@/_]/.test(token) || /[a-z][A-Z]/.test(token)
+    });
+  }
+
+  return terms;
+}
+
+/**
+ * Reranker scoring exact term overlap between the query and each document
+ * Code-like terms weigh more, and title matches get a bonus. The original
+ * search position is blended in so ties keep their search order.
+ */
+export class LexicalReranker {
+  name = 'lexical';
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.positionWeight=0.3] - Weight of the original search position (0-1)
+   */
+  constructor({ positionWeight = 0.3 } = {}) {
+    this.positionWeight = positionWeight;
+  }
+
+  /**
+   * @param {string} query
+   * @param {import('@apos-chatbot/shared').RetrievedDocument[]} docs
+   * @returns {Promise<import('@apos-chatbot/shared').RetrievedDocument[]>}
+   */
+  async rerank(query, docs) {
+    const terms = extractTerms(query);
+    const totalWeight = terms.reduce((sum, { code }) => sum + (code ? 3 : 1), 0);
+
+    const scored = docs.map((doc, index) => {
+      const content = doc.pageContent.toLowerCase();
+      const title = (doc.metadata.title || '').toLowerCase();
+
+      let matched = 0;
+      for (const { term, code } of terms) {
+        const weight = code ? 3 : 1;
+        if (content.includes(term)) {
+          matched += weight;
+        }
+        if (title.includes(term)) {
+          matched += weight * 0.5;
+        }
+      }
+
+      const lexical = totalWeight > 0 ? Math.min(1, matched / totalWeight) : 0;
+      const position = 1 - index / docs.length;
+      const rerankScore = (1 - this.positionWeight) * lexical + this.positionWeight * position;
+
+      return { ...doc, metadata: { ...doc.metadata, rerankScore } };
+    });
+
+    return scored.sort((a, b) => b.metadata.rerankScore - a.metadata.rerankScore);
+  }
+}
+
+/**
+ * Reranker using a local cross-encoder model through transformers.js
+ * The model is downloaded on first use and runs on the CPU.
+ */
+export class CrossEncoderReranker {
+  name = 'cross-encoder';
+
+  /**
+   * @param {Object} options
+   * @param {string} options.model - Hugging Face model ID (ONNX weights)
+   */
+  constructor({ model }) {
+    this.model = model;
+    /** @type {Promise<{tokenizer: Function, model: Function}>|null} */
+    this.loading = null;
+  }
+
+  /**
+   * Load the tokenizer and model once
+   * @returns {Promise<{tokenizer: Function, model: Function}>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const { AutoTokenizer, AutoModelForSequenceClassification } = await import('@xenova/transformers')
+          .catch(() => {
+            throw new Error('The cross-encoder reranker requires the optional @xenova/transformers package');
+          });
+
+        logger.info(`Loading cross-encoder model: ${this.model}`);
+        return {
+          tokenizer: await AutoTokenizer.from_pretrained(this.model),
+          model: await AutoModelForSequenceClassification.from_pretrained(this.model)
+        };
+      })();
+
+      // Allow a retry after a failed load
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * @param {string} query
+   * @param {import('@apos-chatbot/shared').RetrievedDocument[]} docs
+   * @returns {Promise<import('@apos-chatbot/shared').RetrievedDocument[]>}
+   */
+  async rerank(query, docs) {
+    const { tokenizer, model } = await this.load();
+
+    const inputs = tokenizer(docs.map(() => query), {
+      text_pair: docs.map(doc => doc.pageContent),
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await model(inputs);
+
+    const scored = docs.map((doc, index) => ({
+      ...doc,
+      metadata: {
+        ...doc.metadata,
+        rerankScore: 1 / (1 + Math.exp(-logits.data[index]))
+      }
+    }));
+
+    return scored.sort((a, b) => b.metadata.rerankScore - a.metadata.rerankScore);
+  }
+}
+
+/**
+ * Create the configured reranker
+ * @param {import('@apos-chatbot/shared').RetrievalConfig} config
+ * @returns {Reranker|null} Null when reranking is disabled
+ */
+export function createReranker(config) {
+  switch (config.reranker) {
+    case 'none':
+      return null;
+    case 'lexical':
+      return new LexicalReranker();
+    case 'cross-encoder':
+      return new CrossEncoderReranker({ model: config.crossEncoderModel });
+    default:
+      throw new Error(`Unknown reranker: ${config.reranker}`);
+  }
+}
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Weaviate retriever combining hybrid (BM25 + vector) and vector search
+ *
+ * Hybrid search catches exact API names and option keys that pure vector
+ * search misses, while the vector search supplies the distances used for
+ * confidence scoring. Results from both are merged and passed through an
+ * optional reranker before the top documents are returned.
+ *
+ * With an embedding provider, the query is embedded here once and both
+ * searches use that vector, since the class holds vectors Weaviate cannot
+ * compute itself.
+ */
+
+import { APOS_DOCS_SCHEMA, CONSTANTS, createLogger } from '@apos-chatbot/shared';
+
+const logger = createLogger('Retriever');
+
+/** Properties fetched for each retrieved document */
+export const DOC_FIELDS = 'content title url anchorUrl version framework docType section';
+
+/**
+ * Retriever backed by Weaviate hybrid and vector search
+ */
+export class WeaviateHybridRetriever {
+  /**
+   * @param {import('weaviate-ts-client').WeaviateClient} client - Weaviate client
+   * @param {Object} [options]
+   * @param {string} [options.className] - Weaviate class to search
+   * @param {number} [options.alpha] - Hybrid search balance (0 = BM25 only, 1 = vector only)
+   * @param {number} [options.candidateLimit] - Candidates fetched from each search
+   * @param {number} [options.topK] - Documents returned after reranking
+   * @param {import('./rerankers.js').Reranker|null} [options.reranker] - Reranker stage
+   * @param {import('@apos-chatbot/shared').EmbeddingProvider|null} [options.embeddings] - Embeds queries; null when Weaviate vectorizes
+   */
+  constructor(client, options = {}) {
+    const {
+      className = APOS_DOCS_SCHEMA.class,
+      alpha = CONSTANTS.RETRIEVAL.ALPHA,
+      candidateLimit = CONSTANTS.RETRIEVAL.CANDIDATE_LIMIT,
+      topK = CONSTANTS.RETRIEVAL.TOP_K,
+      reranker = null,
+      embeddings = null
+    } = options;
+
+    this.client = client;
+    this.className = className;
+    this.alpha = alpha;
+    this.candidateLimit = candidateLimit;
+    this.topK = topK;
+    this.reranker = reranker;
+    this.embeddings = embeddings;
+  }
+
+  /**
+   * Retrieve documents relevant to a query
+   * @param {string} query - Search text
+   * @param {Object} [options]
+   * @param {Object} [options.filter] - Weaviate where filter
+   * @returns {Promise<import('@apos-chatbot/shared').RetrievedDocument[]>}
+   */
+  async invoke(query, options = {}) {
+    const vector = this.embeddings ? await this.embeddings.embedQuery(query) : undefined;
+    const [hybridResult, vectorResult] = await Promise.allSettled([
+      this.hybridSearch(query, options.filter, vector),
+      this.vectorSearch(query, options.filter, vector)
+    ]);
+
+    if (hybridResult.status === 'rejected') {
+      logger.error('Hybrid search failed', hybridResult.reason);
+    }
+    if (vectorResult.status === 'rejected') {
+      logger.error('Vector search failed', vectorResult.reason);
+    }
+
+    const candidates = mergeResults(
+      hybridResult.status === 'fulfilled' ? hybridResult.value : [],
+      vectorResult.status === 'fulfilled' ? vectorResult.value : []
+    );
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    let ranked = candidates;
+    if (this.reranker) {
+      try {
+        ranked = await this.reranker.rerank(query, candidates);
+      } catch (error) {
+        logger.error(`Reranker ${this.reranker.name} failed, using search order`, error);
+      }
+    }
+
+    logger.debug('Retrieved documents', {
+      candidates: candidates.length,
+      returned: Math.min(ranked.length, this.topK)
+    });
+
+    return ranked.slice(0, this.topK);
+  }
+
+  /**
+   * Run a hybrid BM25 + vector search
+   * @param {string} query
+   * @param {Object} [filter]
+   * @param {number[]} [vector] - Query vector; Weaviate embeds the query if omitted
+   * @returns {Promise<import('@apos-chatbot/shared').RetrievedDocument[]>}
+   */
+  async hybridSearch(query, filter, vector) {
+    let queryBuilder = this.client.graphql
+      .get()
+      .withClassName(this.className)
+      .withHybrid({ query, alpha: this.alpha, ...(vector && { vector }) })
+      .withLimit(this.candidateLimit)
+      .withFields(`${DOC_FIELDS} _additional { id score }`);
+
+    if (filter) {
+      queryBuilder = queryBuilder.withWhere(filter);
+    }
+
+    const result = await queryBuilder.do();
+    return (result.data?.Get?.[this.className] || []).map(toDocument);
+  }
+
+  /**
+   * Run a pure vector search, which reports distances
+   * @param {string} query
+   * @param {Object} [filter]
+   * @param {number[]} [vector] - Query vector; Weaviate embeds the query if omitted
+   * @returns {Promise<import('@apos-chatbot/shared').RetrievedDocument[]>}
+   */
+  async vectorSearch(query, filter, vector) {
+    let queryBuilder = this.client.graphql
+      .get()
+      .withClassName(this.className);
+
+    queryBuilder = (vector
+      ? queryBuilder.withNearVector({ vector })
+      : queryBuilder.withNearText({ concepts: [query] }))
+      .withLimit(this.candidateLimit)
+      .withFields(`${DOC_FIELDS} _additional { id distance certainty }`);
+
+    if (filter) {
+      queryBuilder = queryBuilder.withWhere(filter);
+    }
+
+    const result = await queryBuilder.do();
+    return (result.data?.Get?.[this.className] || []).map(toDocument);
+  }
+}
+
+/**
+ * Convert a Weaviate result object to a retrieved document
+ * @param {Object} doc - Weaviate GraphQL result
+ * @returns {import('@apos-chatbot/shared').RetrievedDocument}
+ */
+export function toDocument(doc) {
+  const additional = doc._additional || {};
+  return {
+    pageContent: doc.content,
+    metadata: {
+      id: additional.id,
+      title: doc.title,
+      url: doc.url,
+      version: doc.version,
+      framework: doc.framework,
+      docType: doc.docType,
+      section: doc.section,
+      anchorUrl: doc.anchorUrl,
+      distance: additional.distance ?? null,
+      certainty: additional.certainty ?? null,
+      // Weaviate returns hybrid scores as strings
+      hybridScore: additional.score != null ? parseFloat(additional.score) : null
+    }
+  };
+}
+
+/**
+ * Merge hybrid and vector results into one candidate list
+ * Keeps the hybrid ranking, adds vector distances to documents found by both
+ * searches, and appends documents only the vector search found.
+ * @param {import('@apos-chatbot/shared').RetrievedDocument[]} hybridDocs
+ * @param {import('@apos-chatbot/shared').RetrievedDocument[]} vectorDocs
+ * @returns {import('@apos-chatbot/shared').RetrievedDocument[]}
+ */
+export function mergeResults(hybridDocs, vectorDocs) {
+  /** @type {Map<string, import('@apos-chatbot/shared').RetrievedDocument>} */
+  const merged = new Map();
+
+  for (const doc of hybridDocs) {
+    merged.set(doc.metadata.id, doc);
+  }
+
+  for (const doc of vectorDocs) {
+    const existing = merged.get(doc.metadata.id);
+    if (existing) {
+      existing.metadata.distance = doc.metadata.distance;
+      existing.metadata.certainty = doc.metadata.certainty;
+    } else {
+      merged.set(doc.metadata.id, doc);
+    }
+  }
+
+  return [...merged.values()];
+}
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Token bucket rate limiting for Socket.IO events
+ * Express middleware cannot guard socket events, so sockets take tokens from
+ * a bucket per client IP instead. Keying by IP rather than by socket keeps a
+ * client from resetting its limit by reconnecting.
+ */
+
+/**
+ * Per-key token buckets, refilled continuously
+ */
+export class TokenBucketLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.capacity - Requests allowed in a burst
+   * @param {number} options.windowMs - Time to refill a full bucket
+   */
+  constructor({ capacity, windowMs }) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / windowMs;
+    /** @type {Map<string, {tokens: number, updatedAt: number}>} */
+    this.buckets = new Map();
+  }
+
+  /**
+   * Take a token for a key
+   * @param {string} key - e.g. the client IP
+   * @param {number} [now]
+   * @returns {boolean} False if the key is over its limit
+   */
+  take(key, now = Date.now()) {
+    this.prune(now);
+
+    const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now };
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+    this.buckets.set(key, bucket);
+    return allowed;
+  }
+
+  /**
+   * Forget buckets that have refilled completely, so idle clients cost no memory
+   * @param {number} now
+   */
+  prune(now) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
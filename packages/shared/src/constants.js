@@ -28,11 +28,22 @@ export const CONSTANTS = {
     MIGRATION: 'migration'
   },
 
-  // Confidence thresholds
+  // Confidence thresholds and scoring
   CONFIDENCE: {
     HIGH: 0.8,
     MEDIUM: 0.6,
-    LOW: 0.4
+    LOW: 0.4,
+    // Vector distances at or below STRONG_DISTANCE score 1, at or above WEAK_DISTANCE score 0
+    STRONG_DISTANCE: 0.3,
+    WEAK_DISTANCE: 0.7,
+    // Distance gap between the best hit and the rest that counts as a full margin
+    MARGIN_WINDOW: 0.1,
+    // Weights of best score, margin and agreement (sum to 1)
+    WEIGHTS: {
+      BEST: 0.6,
+      MARGIN: 0.2,
+      AGREEMENT: 0.2
+    }
   },
 
   // Astro-related keywords for intent detection
@@ -62,8 +73,56 @@ export const CONSTANTS = {
     MAX_REQUESTS: 2
   },
 
+  // Retrieval defaults
+  RETRIEVAL: {
+    // 0 = pure BM25 keyword search, 1 = pure vector search
+    ALPHA: 0.5,
+    // Candidates fetched from each search before reranking
+    CANDIDATE_LIMIT: 20,
+    // Documents kept after reranking
+    TOP_K: 6,
+    // 'lexical', 'cross-encoder' or 'none'
+    RERANKER: 'lexical',
+    CROSS_ENCODER_MODEL: 'Xenova/ms-marco-MiniLM-L-6-v2'
+  },
+
+  // Embedding providers
+  EMBEDDINGS: {
+    // 'weaviate' (text2vec-openai inside Weaviate), 'openai', 'openai-compatible' or 'local'
+    PROVIDER: 'weaviate',
+    // Default model per provider; openai-compatible endpoints name their own
+    MODELS: {
+      openai: 'text-embedding-3-small',
+      local: 'Xenova/all-MiniLM-L6-v2'
+    },
+    // Texts per embedding request or model call
+    BATCH_SIZE: 32
+  },
+
+  // Exact lookup of API operations named in a question
+  ENDPOINT_LOOKUP: {
+    // How long the list of indexed operations is reused before reloading
+    REFRESH_MS: 10 * 60 * 1000,
+    // Operations fetched for one question
+    MAX_MATCHES: 3,
+    // Upper bounds for the operation list and for chunks per operation page
+    MAX_OPERATIONS: 5000,
+    MAX_CHUNKS: 50
+  },
+
+  // Versioned indexes behind the AposDocs alias
+  INDEX_VERSIONS: {
+    // Versions older than the active one kept for rollback
+    KEEP_PREVIOUS: 2,
+    // A new version needs at least this share of the active version's documents
+    MIN_COUNT_RATIO: 0.9,
+    // Queries whose terms a new version must find documents for
+    SMOKE_QUERIES: ['widget', 'piece type', 'module configuration']
+  },
+
   // Chunking defaults
   CHUNKING: {
+    STRATEGY: 'markdown',
     MAX_CHUNK_SIZE: 1000,
     OVERLAP: 200,
     SEPARATORS: ['\n\n', '\n', '. ', ' ', '']
@@ -74,7 +133,10 @@ export const CONSTANTS = {
     MAX_DEPTH: 3,
     MAX_PAGES: 500,
     DELAY_MS: 100,
-    TIMEOUT_MS: 30000
+    TIMEOUT_MS: 30000,
+    CONCURRENCY: 3,
+    RETRIES: 2,
+    RETRY_DELAY_MS: 1000
   }
 };
 
@@ -105,6 +167,92 @@ export function getBoolEnv(name, defaultValue = false) {
   return value.toLowerCase() === 'true';
 }
 
+/**
+ * Confidence scoring configuration
+ * @typedef {Object} ConfidenceConfig
+ * @property {number} high - Threshold for a high confidence answer
+ * @property {number} medium - Threshold for a medium confidence answer
+ * @property {number} low - Answers below this score get the low confidence response
+ * @property {number} strongDistance - Vector distance treated as a perfect match
+ * @property {number} weakDistance - Vector distance treated as irrelevant
+ * @property {number} marginWindow - Distance gap counted as a full margin
+ */
+
+/**
+ * Get confidence configuration, with per-deployment overrides from the environment
+ * @returns {ConfidenceConfig}
+ */
+export function getConfidenceConfig() {
+  return {
+    high: getFloatEnv('CONFIDENCE_HIGH', CONSTANTS.CONFIDENCE.HIGH),
+    medium: getFloatEnv('CONFIDENCE_MEDIUM', CONSTANTS.CONFIDENCE.MEDIUM),
+    low: getFloatEnv('CONFIDENCE_LOW', CONSTANTS.CONFIDENCE.LOW),
+    strongDistance: getFloatEnv('CONFIDENCE_STRONG_DISTANCE', CONSTANTS.CONFIDENCE.STRONG_DISTANCE),
+    weakDistance: getFloatEnv('CONFIDENCE_WEAK_DISTANCE', CONSTANTS.CONFIDENCE.WEAK_DISTANCE),
+    marginWindow: getFloatEnv('CONFIDENCE_MARGIN_WINDOW', CONSTANTS.CONFIDENCE.MARGIN_WINDOW)
+  };
+}
+
+/**
+ * Retrieval configuration
+ * @typedef {Object} RetrievalConfig
+ * @property {number} alpha - Hybrid search balance (0 = BM25 only, 1 = vector only)
+ * @property {number} candidateLimit - Candidates fetched before reranking
+ * @property {number} topK - Documents kept after reranking
+ * @property {'lexical' | 'cross-encoder' | 'none'} reranker - Reranker stage to apply
+ * @property {string} crossEncoderModel - Model used by the cross-encoder reranker
+ */
+
+/**
+ * Get retrieval configuration, with per-deployment overrides from the environment
+ * @returns {RetrievalConfig}
+ */
+export function getRetrievalConfig() {
+  return {
+    alpha: getFloatEnv('RETRIEVAL_ALPHA', CONSTANTS.RETRIEVAL.ALPHA),
+    candidateLimit: getNumberEnv('RETRIEVAL_CANDIDATE_LIMIT', CONSTANTS.RETRIEVAL.CANDIDATE_LIMIT),
+    topK: getNumberEnv('RETRIEVAL_TOP_K', CONSTANTS.RETRIEVAL.TOP_K),
+    reranker: /** @type {RetrievalConfig['reranker']} */ (process.env.RERANKER || CONSTANTS.RETRIEVAL.RERANKER),
+    crossEncoderModel: process.env.RERANKER_MODEL || CONSTANTS.RETRIEVAL.CROSS_ENCODER_MODEL
+  };
+}
+
+/**
+ * Embedding configuration
+ * @typedef {Object} EmbeddingConfig
+ * @property {string} provider - 'weaviate' lets Weaviate vectorize; any other registered provider computes vectors in the application
+ * @property {string} model - Embedding model, unused for 'weaviate'
+ * @property {string} [baseUrl] - API base URL for 'openai' and 'openai-compatible'
+ * @property {string} [apiKey] - API key; 'openai' falls back to OPENAI_API_KEY
+ * @property {number} [dimensions] - Output dimensions, for models that support shortening
+ * @property {number} batchSize - Texts per embedding request or model call
+ */
+
+/**
+ * Get embedding configuration
+ * Ingestion and the server must agree on it; the index records which
+ * embedding it was built with.
+ * @returns {EmbeddingConfig}
+ * @throws {Error} If a provider without a default model has no EMBEDDING_MODEL
+ */
+export function getEmbeddingConfig() {
+  const provider = process.env.EMBEDDING_PROVIDER || CONSTANTS.EMBEDDINGS.PROVIDER;
+  const model = process.env.EMBEDDING_MODEL || CONSTANTS.EMBEDDINGS.MODELS[provider];
+
+  if (!model && provider !== 'weaviate') {
+    throw new Error(`EMBEDDING_MODEL is required for the ${provider} embedding provider`);
+  }
+
+  return {
+    provider,
+    model,
+    baseUrl: process.env.EMBEDDING_BASE_URL || undefined,
+    apiKey: process.env.EMBEDDING_API_KEY || undefined,
+    dimensions: getNumberEnv('EMBEDDING_DIMENSIONS', undefined),
+    batchSize: getNumberEnv('EMBEDDING_BATCH_SIZE', CONSTANTS.EMBEDDINGS.BATCH_SIZE)
+  };
+}
+
 /**
  * Get environment variable as number
  * @param {string} name - Environment variable name
@@ -113,10 +261,26 @@ export function getBoolEnv(name, defaultValue = false) {
  */
 export function getNumberEnv(name, defaultValue) {
   const value = process.env[name];
-  if (value === undefined) return defaultValue;
+  if (value === undefined || value === '') return defaultValue;
   const num = parseInt(value, 10);
   if (isNaN(num)) {
     throw new Error(`Environment variable ${name} must be a number, got: ${value}`);
   }
   return num;
 }
+
+/**
+ * Get environment variable as floating point number
+ * @param {string} name - Environment variable name
+ * @param {number} [defaultValue] - Default value
+ * @returns {number}
+ */
+export function getFloatEnv(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return defaultValue;
+  const num = parseFloat(value);
+  if (isNaN(num)) {
+    throw new Error(`Environment variable ${name} must be a number, got: ${value}`);
+  }
+  return num;
+}
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Embedding providers
+ * With the default `weaviate` provider, Weaviate vectorizes documents and
+ * queries itself through text2vec-openai. Any other provider computes vectors
+ * in the application: ingestion imports them into a class with
+ * `vectorizer: 'none'` and the server embeds queries the same way. Providers
+ * cover OpenAI, any OpenAI-compatible endpoint (Ollama, llama.cpp, vLLM, ...)
+ * and local transformers.js models on the CPU; more can be added with
+ * `registerEmbeddingProvider`.
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Embeddings');
+
+/**
+ * Computes embeddings; the same shape as LangChain's `Embeddings`
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name - Provider and model, recorded with the index, e.g. "local:Xenova/all-MiniLM-L6-v2"
+ * @property {(texts: string[]) => Promise<number[][]>} embedDocuments
+ * @property {(text: string) => Promise<number[]>} embedQuery
+ */
+
+/**
+ * @callback EmbeddingProviderFactory
+ * @param {import('./constants.js').EmbeddingConfig} config
+ * @returns {EmbeddingProvider}
+ */
+
+/** @type {Map<string, EmbeddingProviderFactory>} */
+const providers = new Map();
+
+/**
+ * Register an embedding provider
+ * @param {string} name - Provider name used in configuration
+ * @param {EmbeddingProviderFactory} factory - Creates a provider from a config
+ */
+export function registerEmbeddingProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * Embeddings from an OpenAI-style `/embeddings` endpoint
+ */
+export class OpenAIEmbeddingProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name, for `name`
+   * @param {string} options.model
+   * @param {string} options.baseUrl - API base URL, e.g. https://api.openai.com/v1
+   * @param {string} [options.apiKey]
+   * @param {number} [options.dimensions] - Output dimensions, for models that support shortening
+   * @param {number} options.batchSize - Texts per request
+   */
+  constructor({ name, model, baseUrl, apiKey, dimensions, batchSize }) {
+    this.name = `${name}:${model}`;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.dimensions = dimensions;
+    this.batchSize = batchSize;
+  }
+
+  /**
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>}
+   */
+  async embedDocuments(texts) {
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      vectors.push(...await this.request(texts.slice(start, start + this.batchSize)));
+    }
+    return vectors;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Promise<number[]>}
+   */
+  async embedQuery(text) {
+    const [vector] = await this.request([text]);
+    return vector;
+  }
+
+  /**
+   * Embed one batch
+   * @param {string[]} input
+   * @returns {Promise<number[][]>} Vectors in input order
+   */
+  async request(input) {
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify({
+        model: this.model,
+        input,
+        ...(this.dimensions && { dimensions: this.dimensions })
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Embedding request to ${this.baseUrl} failed: ${response.status} ${await response.text()}`);
+    }
+
+    const { data } = await response.json();
+    return data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+/**
+ * Embeddings from a local transformers.js model, mean-pooled and normalized
+ * The model is downloaded on first use and runs on the CPU.
+ */
+export class LocalEmbeddingProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.model - Hugging Face model ID (ONNX weights)
+   * @param {number} options.batchSize - Texts per model call
+   */
+  constructor({ model, batchSize }) {
+    this.name = `local:${model}`;
+    this.model = model;
+    this.batchSize = batchSize;
+    /** @type {Promise<Function>|null} */
+    this.loading = null;
+  }
+
+  /**
+   * Load the feature-extraction pipeline once
+   * @returns {Promise<Function>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const { pipeline } = await import('@xenova/transformers')
+          .catch((error) => {
+            // Other failures, such as a broken native dependency, keep their own message
+            if (error.code === 'ERR_MODULE_NOT_FOUND' && error.message.includes('@xenova/transformers')) {
+              throw new Error('The local embedding provider requires the optional @xenova/transformers package; run `pnpm install`');
+            }
+            throw error;
+          });
+
+        logger.info(`Loading embedding model: ${this.model}`);
+        return pipeline('feature-extraction', this.model);
+      })();
+
+      // Allow a retry after a failed load
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>}
+   */
+  async embedDocuments(texts) {
+    const extract = await this.load();
+    const vectors = [];
+
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      const output = await extract(texts.slice(start, start + this.batchSize), {
+        pooling: 'mean',
+        normalize: true
+      });
+      vectors.push(...output.tolist());
+    }
+    return vectors;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Promise<number[]>}
+   */
+  async embedQuery(text) {
+    const [vector] = await this.embedDocuments([text]);
+    return vector;
+  }
+}
+
+registerEmbeddingProvider('openai', (config) => new OpenAIEmbeddingProvider({
+  name: 'openai',
+  model: config.model,
+  baseUrl: config.baseUrl || 'https://api.openai.com/v1',
+  apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+  dimensions: config.dimensions,
+  batchSize: config.batchSize
+}));
+
+registerEmbeddingProvider('openai-compatible', (config) => {
+  if (!config.baseUrl) {
+    throw new Error(`Embedding model ${config.model}: the openai-compatible provider requires EMBEDDING_BASE_URL`);
+  }
+
+  return new OpenAIEmbeddingProvider({
+    name: 'openai-compatible',
+    model: config.model,
+    baseUrl: config.baseUrl,
+    apiKey: config.apiKey,
+    dimensions: config.dimensions,
+    batchSize: config.batchSize
+  });
+});
+
+registerEmbeddingProvider('local', (config) => new LocalEmbeddingProvider({
+  model: config.model,
+  batchSize: config.batchSize
+}));
+
+/**
+ * Create the configured embedding provider
+ * @param {import('./constants.js').EmbeddingConfig} config
+ * @returns {EmbeddingProvider|null} Null for `weaviate`, where Weaviate vectorizes
+ * @throws {Error} If the provider is not registered
+ */
+export function createEmbeddingProvider(config) {
+  if (config.provider === 'weaviate') {
+    return null;
+  }
+
+  const factory = providers.get(config.provider);
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${config.provider}. Registered: weaviate, ${[...providers.keys()].join(', ')}`);
+  }
+  return factory(config);
+}
+
+/**
+ * Identify the embedding an index is built with, for recording next to it
+ * Shortened vectors cannot be compared with full-length ones, so the
+ * dimensions are part of it when set.
+ * @param {import('./constants.js').EmbeddingConfig} config
+ * @returns {string} e.g. "weaviate:text2vec-openai", "local:Xenova/all-MiniLM-L6-v2"
+ *   or "openai:text-embedding-3-small@512"
+ */
+export function describeEmbedding(config) {
+  if (config.provider === 'weaviate') {
+    return 'weaviate:text2vec-openai';
+  }
+  const name = `${config.provider}:${config.model}`;
+  return config.dimensions ? `${name}@${config.dimensions}` : name;
+}
+
+/**
+ * Text embedded for a document, mirroring what text2vec-openai vectorizes
+ * @param {{title?: string, content: string}} doc
+ * @returns {string}
+ */
+export function embeddingText(doc) {
+  return doc.title ? `${doc.title}\n\n${doc.content}` : doc.content;
+}
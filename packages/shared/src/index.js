@@ -6,3 +6,6 @@ export * from './types.js';
 export * from './constants.js';
 export * from './logger.js';
 export * from './weaviate-schema.js';
+export * from './schema-migrations.js';
+export * from './weaviate-aliases.js';
+export * from './embeddings.js';
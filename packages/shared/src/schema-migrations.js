@@ -0,0 +1,560 @@
+/**
+ * @fileoverview Versioned migrations for the Weaviate schema
+ *
+ * The schema version applied to a class is recorded in the `AposSchemaInfo`
+ * class. Changes to `APOS_DOCS_SCHEMA` ship with a new entry in
+ * `MIGRATIONS`, which `migrateSchema` applies in order. Additive changes add
+ * properties in place; changes to the vectorizer or its module config cannot
+ * be made to an existing class, so their migrations run
+ * `rebuildIfVectorizerChanged`, which copies every object into a class
+ * created with the new config.
+ *
+ * The embedding a class is built with is recorded next to its version.
+ * Vectors from different models cannot be compared, so a class only serves
+ * the embedding configuration it was built with; switching providers or
+ * models means building a new index version.
+ */
+
+import { APOS_DOCS_SCHEMA, createDocsSchema } from './weaviate-schema.js';
+import { getEmbeddingConfig } from './constants.js';
+import { createEmbeddingProvider, describeEmbedding, embeddingText } from './embeddings.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('SchemaMigrations');
+
+/** Objects copied per page when rebuilding a class */
+const COPY_BATCH_SIZE = 100;
+
+/**
+ * Class recording the schema version of each documentation class
+ */
+export const SCHEMA_INFO_SCHEMA = {
+  class: 'AposSchemaInfo',
+  description: 'Schema version applied to each documentation class',
+  vectorizer: 'none',
+  properties: [
+    {
+      name: 'className',
+      dataType: ['text'],
+      description: 'Documentation class the version applies to',
+      tokenization: 'field'
+    },
+    {
+      name: 'version',
+      dataType: ['int'],
+      description: 'Last migration applied'
+    },
+    {
+      name: 'migratedAt',
+      dataType: ['date'],
+      description: 'When the last migration was applied'
+    },
+    {
+      name: 'embedding',
+      dataType: ['text'],
+      description: 'Embedding provider and model the class was built with',
+      tokenization: 'field'
+    }
+  ]
+};
+
+/**
+ * A schema change
+ * @typedef {Object} Migration
+ * @property {number} version - Schema version after the migration; versions increase by one
+ * @property {string} description - What the migration changes
+ * @property {(client: import('weaviate-ts-client').WeaviateClient, className: string, embedding: import('./constants.js').EmbeddingConfig) => Promise<void>} up -
+ *   Applies the change; must be safe to run against a class that already has it
+ */
+
+/**
+ * Schema changes in the order they are applied
+ * Classes created before versioning start at version 0 and run them all.
+ * @type {Migration[]}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the documentation class, or rebuild it if its vectorizer config differs',
+    up: async (client, className, embedding) => {
+      await createClass(client, className, embedding);
+      // Classes from before versioning may have been created with another config
+      await rebuildIfVectorizerChanged(client, className, embedding);
+    }
+  },
+  {
+    version: 2,
+    description: 'Add section, anchor, source and incremental ingestion properties',
+    up: (client, className) => addProperties(client, className, [
+      'section', 'anchorUrl', 'sourceName', 'contentHash', 'chunkIndex'
+    ])
+  },
+  {
+    version: 3,
+    description: 'Add structured API operation properties',
+    up: (client, className) => addProperties(client, className, [
+      'httpMethod', 'apiPath', 'operationId', 'apiTags', 'deprecated'
+    ])
+  }
+];
+
+/** Schema version this code reads and writes */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Result of comparing a class with the schema this code expects
+ * @typedef {Object} SchemaStatus
+ * @property {string} className
+ * @property {boolean} exists - Whether the class exists
+ * @property {number|null} version - Recorded version; 0 for classes created before versioning, null if the class is missing
+ * @property {number} expected - SCHEMA_VERSION
+ * @property {string|null} embedding - Embedding the class was built with, e.g. "local:Xenova/all-MiniLM-L6-v2"; null if unknown
+ * @property {Migration[]} pending - Migrations not yet applied
+ * @property {string[]} problems - Why the class cannot be used as it is; empty if compatible
+ */
+
+/**
+ * Compare a class in Weaviate with the schema this code expects
+ * Besides the recorded version, checks that every property exists, that the
+ * class was built with the configured embedding and that the vectorizer
+ * matches, which catches classes changed by hand. Classes without a recorded
+ * embedding that Weaviate vectorizes predate the record and count as
+ * `weaviate`.
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} [className]
+ * @param {import('./constants.js').EmbeddingConfig} [embedding] - Configuration the class must match
+ * @returns {Promise<SchemaStatus>}
+ */
+export async function checkSchema(client, className = APOS_DOCS_SCHEMA.class, embedding = getEmbeddingConfig()) {
+  const existing = await getClass(client, className);
+  const marker = existing ? await getVersionMarker(client, className) : null;
+  const version = existing ? marker?.version ?? 0 : null;
+  const built = marker?.embedding ||
+    (existing && existing.vectorizer !== 'none' ? describeEmbedding({ provider: 'weaviate' }) : null);
+  const pending = MIGRATIONS.filter(migration => migration.version > (version ?? 0));
+  const problems = [];
+
+  if (!existing) {
+    problems.push(`Class ${className} does not exist`);
+  } else {
+    if (version < SCHEMA_VERSION) {
+      problems.push(`Schema version ${version} is older than ${SCHEMA_VERSION}`);
+    }
+
+    const names = new Set((existing.properties || []).map(property => property.name));
+    const missing = APOS_DOCS_SCHEMA.properties.filter(property => !names.has(property.name));
+    if (missing.length > 0) {
+      problems.push(`Missing properties: ${missing.map(property => property.name).join(', ')}`);
+    }
+
+    const configured = describeEmbedding(embedding);
+    const schema = createDocsSchema(embedding);
+    if (built !== configured) {
+      problems.push(
+        `Built with embedding ${built || 'unknown'}, but ${configured} is configured; ` +
+        'build a new index version with `pnpm ingest -- --new-version`'
+      );
+    } else if (vectorizerConfig(existing) !== vectorizerConfig(schema)) {
+      problems.push(`Vectorizer ${vectorizerConfig(existing)} differs from ${vectorizerConfig(schema)}`);
+    }
+  }
+
+  return {
+    className,
+    exists: Boolean(existing),
+    version,
+    expected: SCHEMA_VERSION,
+    embedding: built,
+    pending,
+    problems
+  };
+}
+
+/**
+ * Apply pending migrations to a class, creating it if it does not exist
+ * The version is recorded after each migration, so a failed run resumes
+ * where it stopped. A new class is created for `embedding`; an existing class
+ * is only rebuilt for it by migrations that change the vectorizer.
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} [className]
+ * @param {import('./constants.js').EmbeddingConfig} [embedding]
+ * @returns {Promise<{from: number|null, to: number, applied: Migration[]}>}
+ */
+export async function migrateSchema(client, className = APOS_DOCS_SCHEMA.class, embedding = getEmbeddingConfig()) {
+  await ensureSchemaInfoClass(client);
+
+  const { version: from, pending } = await checkSchema(client, className, embedding);
+
+  if (from !== null && from > SCHEMA_VERSION) {
+    throw new Error(`Schema version ${from} of ${className} is newer than this code (${SCHEMA_VERSION})`);
+  }
+
+  for (const migration of pending) {
+    logger.info(`Migrating ${className} to version ${migration.version}: ${migration.description}`);
+    await migration.up(client, className, embedding);
+    await setSchemaVersion(client, className, migration.version);
+  }
+
+  if (pending.length === 0) {
+    logger.info(`Schema of ${className} is up to date (version ${from})`);
+  }
+
+  return { from, to: SCHEMA_VERSION, applied: pending };
+}
+
+/**
+ * Read the recorded schema version of a class
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} className
+ * @returns {Promise<number>} 0 if no version is recorded
+ */
+export async function getSchemaVersion(client, className) {
+  const marker = await getVersionMarker(client, className);
+  return marker?.version ?? 0;
+}
+
+/**
+ * Migration step for changes to the vectorizer or its module config
+ * Rebuilds the class if its vectorizer differs from the schema's, and
+ * finishes a rebuild that stopped part way.
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} className
+ * @param {import('./constants.js').EmbeddingConfig} embedding
+ * @returns {Promise<void>}
+ */
+export async function rebuildIfVectorizerChanged(client, className, embedding) {
+  const existing = await getClass(client, className);
+  const interrupted = await getClass(client, rebuildClassName(className));
+  const schema = createDocsSchema(embedding);
+
+  if (existing && !interrupted && vectorizerConfig(existing) === vectorizerConfig(schema)) {
+    return;
+  }
+  await rebuildClass(client, className, embedding);
+}
+
+/**
+ * Copy every object of a class into a new class created for an embedding
+ * For changes that cannot be applied in place, such as a new vectorizer.
+ * Objects are copied to a temporary class, where Weaviate vectorizes them
+ * with the new config, and then back under the original name with their new
+ * vectors. With an embedding provider, vectors are computed on the way back
+ * instead. Neither class is deleted before the copy out of it holds as many
+ * objects as it does, and a rebuild that stopped after the original was
+ * deleted resumes from the temporary class.
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} className
+ * @param {import('./constants.js').EmbeddingConfig} [embedding]
+ * @returns {Promise<void>}
+ * @throws {Error} If a copy is incomplete; the class copied from is kept
+ */
+export async function rebuildClass(client, className, embedding = getEmbeddingConfig()) {
+  const temporary = rebuildClassName(className);
+  const schema = createDocsSchema(embedding);
+  const embed = createEmbeddingProvider(embedding);
+  const existing = await getClass(client, className);
+
+  // The original is only recreated with the new config once the temporary
+  // class holds every object
+  const resuming = Boolean(await getClass(client, temporary)) &&
+    (!existing || vectorizerConfig(existing) === vectorizerConfig(schema));
+
+  if (resuming) {
+    logger.warn(`Resuming the rebuild of ${className} from ${temporary}`);
+  } else {
+    if (!existing) {
+      throw new Error(`Class ${className} does not exist`);
+    }
+    // Left over from a rebuild that stopped before the original was deleted
+    if (await getClass(client, temporary)) {
+      await client.schema.classDeleter().withClassName(temporary).do();
+    }
+    await client.schema.classCreator().withClass({ ...schema, class: temporary }).do();
+
+    await copyObjects(client, className, temporary, { withVectors: false });
+    const copied = await verifyCopy(client, className, temporary);
+    logger.info(`Copied ${copied} objects from ${className} to ${temporary}`);
+
+    await client.schema.classDeleter().withClassName(className).do();
+  }
+
+  if (!resuming || !existing) {
+    await client.schema.classCreator().withClass({ ...schema, class: className }).do();
+  }
+  await recordEmbedding(client, className, embedding);
+
+  await copyObjects(client, temporary, className, embed ? { withVectors: false, embed } : { withVectors: true });
+  const count = await verifyCopy(client, temporary, className);
+  await client.schema.classDeleter().withClassName(temporary).do();
+  logger.info(`Rebuilt ${className} with ${count} objects`);
+}
+
+/**
+ * Copy all objects from one class to another, keeping their IDs
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} from
+ * @param {string} to
+ * @param {Object} options
+ * @param {boolean} options.withVectors - Keep vectors; otherwise the target class vectorizes the objects
+ * @param {import('./embeddings.js').EmbeddingProvider} [options.embed] - Compute vectors with this provider instead
+ * @returns {Promise<number>} Objects copied
+ */
+export async function copyObjects(client, from, to, { withVectors, embed }) {
+  let after = null;
+  let copied = 0;
+
+  while (true) {
+    let getter = client.data.getter().withClassName(from).withLimit(COPY_BATCH_SIZE);
+    if (after) {
+      getter = getter.withAfter(after);
+    }
+    if (withVectors) {
+      getter = getter.withVector();
+    }
+
+    const { objects = [] } = await getter.do();
+    if (objects.length === 0) break;
+
+    const vectors = embed
+      ? await embed.embedDocuments(objects.map(object => embeddingText(object.properties)))
+      : objects.map(object => (withVectors ? object.vector : undefined));
+
+    let batcher = client.batch.objectsBatcher();
+    for (const [index, object] of objects.entries()) {
+      batcher = batcher.withObject({
+        class: to,
+        id: object.id,
+        properties: object.properties,
+        ...(vectors[index] && { vector: vectors[index] })
+      });
+    }
+
+    const results = await batcher.do();
+    const errors = results.filter(result => result.result?.errors);
+    if (errors.length > 0) {
+      throw new Error(`Copying ${from} to ${to} failed for ${errors.length} objects: ${JSON.stringify(errors[0].result.errors)}`);
+    }
+
+    copied += objects.length;
+    after = objects[objects.length - 1].id;
+  }
+
+  return copied;
+}
+
+/**
+ * Name of the temporary class a class is rebuilt through
+ * @param {string} className
+ * @returns {string}
+ */
+function rebuildClassName(className) {
+  return `${className}Rebuild`;
+}
+
+/**
+ * Check that a copy holds as many objects as the class it was copied from
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} from
+ * @param {string} to
+ * @returns {Promise<number>} Objects in the copy
+ * @throws {Error} If the counts differ
+ */
+async function verifyCopy(client, from, to) {
+  const expected = await countObjects(client, from);
+  const actual = await countObjects(client, to);
+  if (actual !== expected) {
+    throw new Error(`${to} holds ${actual} objects, but ${from} has ${expected}; keeping ${from}`);
+  }
+  return actual;
+}
+
+/**
+ * Count the objects in a class
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} className
+ * @returns {Promise<number>}
+ */
+async function countObjects(client, className) {
+  const result = await client.graphql
+    .aggregate()
+    .withClassName(className)
+    .withFields('meta { count }')
+    .do();
+  return result.data?.Aggregate?.[className]?.[0]?.meta?.count ?? 0;
+}
+
+/**
+ * Create a class for an embedding unless it exists
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} className
+ * @param {import('./constants.js').EmbeddingConfig} embedding
+ * @returns {Promise<void>}
+ */
+async function createClass(client, className, embedding) {
+  if (await getClass(client, className)) {
+    return;
+  }
+  await client.schema.classCreator().withClass({ ...createDocsSchema(embedding), class: className }).do();
+  await recordEmbedding(client, className, embedding);
+  logger.info(`Created class ${className} for embedding ${describeEmbedding(embedding)}`);
+}
+
+/**
+ * Add properties from APOS_DOCS_SCHEMA that a class lacks
+ * Classes holding their own vectors get the properties without module config.
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} className
+ * @param {string[]} names - Properties to add
+ * @returns {Promise<void>}
+ */
+async function addProperties(client, className, names) {
+  const existing = await getClass(client, className);
+  const existingNames = new Set((existing?.properties || []).map(property => property.name));
+
+  for (const name of names) {
+    if (existingNames.has(name)) continue;
+
+    const property = APOS_DOCS_SCHEMA.properties.find(candidate => candidate.name === name);
+    if (!property) {
+      throw new Error(`Property ${name} is not defined in APOS_DOCS_SCHEMA`);
+    }
+
+    const { moduleConfig, ...plain } = property;
+    await client.schema
+      .propertyCreator()
+      .withClassName(className)
+      .withProperty(existing?.vectorizer === 'none' ? plain : property)
+      .do();
+    logger.info(`Added property ${name} to ${className}`);
+  }
+}
+
+/**
+ * Create the AposSchemaInfo class, or add properties it lacks
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @returns {Promise<void>}
+ */
+async function ensureSchemaInfoClass(client) {
+  const existing = await getClass(client, SCHEMA_INFO_SCHEMA.class);
+  if (!existing) {
+    await client.schema.classCreator().withClass(SCHEMA_INFO_SCHEMA).do();
+    return;
+  }
+
+  const names = new Set((existing.properties || []).map(property => property.name));
+  for (const property of SCHEMA_INFO_SCHEMA.properties) {
+    if (!names.has(property.name)) {
+      await client.schema.propertyCreator().withClassName(SCHEMA_INFO_SCHEMA.class).withProperty(property).do();
+    }
+  }
+}
+
+/**
+ * Find the version marker of a class
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} className
+ * @returns {Promise<{id: string, version: number|null, embedding: string|null}|null>} Null if none is recorded
+ */
+async function getVersionMarker(client, className) {
+  const infoClass = await getClass(client, SCHEMA_INFO_SCHEMA.class);
+  if (!infoClass) {
+    return null;
+  }
+
+  // Info classes from before the embedding was recorded lack the property
+  const hasEmbedding = (infoClass.properties || []).some(property => property.name === 'embedding');
+
+  const result = await client.graphql
+    .get()
+    .withClassName(SCHEMA_INFO_SCHEMA.class)
+    .withWhere({ path: ['className'], operator: 'Equal', valueText: className })
+    .withFields(`version ${hasEmbedding ? 'embedding ' : ''}_additional { id }`)
+    .withLimit(1)
+    .do();
+
+  const [marker] = result.data?.Get?.[SCHEMA_INFO_SCHEMA.class] || [];
+  return marker
+    ? { id: marker._additional.id, version: marker.version ?? null, embedding: marker.embedding || null }
+    : null;
+}
+
+/**
+ * Record the schema version of a class
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} className
+ * @param {number} version
+ * @returns {Promise<void>}
+ */
+async function setSchemaVersion(client, className, version) {
+  await updateMarker(client, className, { version, migratedAt: new Date().toISOString() });
+}
+
+/**
+ * Record the embedding a class is built with
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} className
+ * @param {import('./constants.js').EmbeddingConfig} embedding
+ * @returns {Promise<void>}
+ */
+async function recordEmbedding(client, className, embedding) {
+  await ensureSchemaInfoClass(client);
+  await updateMarker(client, className, { embedding: describeEmbedding(embedding) });
+}
+
+/**
+ * Update the marker of a class, creating it if needed
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} className
+ * @param {Object} changes - Marker properties to set
+ * @returns {Promise<void>}
+ */
+async function updateMarker(client, className, changes) {
+  const properties = { className, ...changes };
+  const marker = await getVersionMarker(client, className);
+
+  if (marker) {
+    await client.data
+      .merger()
+      .withClassName(SCHEMA_INFO_SCHEMA.class)
+      .withId(marker.id)
+      .withProperties(properties)
+      .do();
+  } else {
+    await client.data
+      .creator()
+      .withClassName(SCHEMA_INFO_SCHEMA.class)
+      .withProperties(properties)
+      .do();
+  }
+}
+
+/**
+ * Read a class definition
+ * @param {import('weaviate-ts-client').WeaviateClient} client
+ * @param {string} className
+ * @returns {Promise<import('weaviate-ts-client').WeaviateClass|null>} Null if the class does not exist
+ * @throws {Error} For any other failure, such as Weaviate being unreachable
+ */
+async function getClass(client, className) {
+  return client.schema
+    .classGetter()
+    .withClassName(className)
+    .do()
+    .catch((error) => {
+      // The client only reports the status in the message, e.g. "usage error (404): ..."
+      if (/\(404\)/.test(error.message)) {
+        return null;
+      }
+      throw error;
+    });
+}
+
+/**
+ * Vectorizer and model of a class, for comparison
+ * @param {{vectorizer?: string, moduleConfig?: Object}} schema
+ * @returns {string} e.g. "text2vec-openai (text-embedding-3-small)"
+ */
+function vectorizerConfig(schema) {
+  const model = schema.moduleConfig?.[schema.vectorizer]?.model;
+  return model ? `${schema.vectorizer} (${model})` : String(schema.vectorizer);
+}
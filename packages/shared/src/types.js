@@ -29,6 +29,7 @@
  * @property {IntentType} type - Primary intent category
  * @property {number} confidence - Confidence score (0-1)
  * @property {Framework[]} frameworks - Relevant frameworks detected
+ * @property {boolean} [inScope] - Whether the query is about ApostropheCMS development
  * @property {Object} [suggestedFilters] - Suggested search filters
  * @property {string} [suggestedFilters.version] - ApostropheCMS version filter
  * @property {DocType} [suggestedFilters.docType] - Document type filter
@@ -57,6 +58,7 @@
 /**
  * Document stored in Weaviate
  * @typedef {Object} WeaviateDocument
+ * @property {string} [id] - Object UUID, derived from URL and chunk index for incremental ingestion
  * @property {string} content - Main text content
  * @property {string} url - Source URL
  * @property {string} title - Document title
@@ -64,6 +66,8 @@
  * @property {Framework} [framework] - Primary framework
  * @property {DocType} docType - Type of documentation
  * @property {string[]} [keywords] - Extracted keywords
+ * @property {string} [sourceName] - Ingestion source the document came from
+ * @property {string} [contentHash] - Hash of the page the chunk came from
  * @property {Object} [metadata] - Additional metadata
  */
 
@@ -73,11 +77,32 @@
  * @property {string} content - Document content
  * @property {string} url - Document URL
  * @property {string} title - Document title
+ * @property {string} [section] - Heading breadcrumb of the chunk
  * @property {number} distance - Vector distance (lower is better)
  * @property {number} certainty - Certainty score (0-1, higher is better)
  * @property {Object} [metadata] - Additional metadata from document
  */
 
+/**
+ * Document returned by the server's retriever (LangChain Document shape)
+ * @typedef {Object} RetrievedDocument
+ * @property {string} pageContent - Chunk content
+ * @property {Object} metadata - Chunk metadata
+ * @property {string} [metadata.id] - Weaviate object ID
+ * @property {string} metadata.title - Document title
+ * @property {string} metadata.url - Source URL
+ * @property {string} [metadata.version] - ApostropheCMS version
+ * @property {Framework} [metadata.framework] - Primary framework
+ * @property {DocType} [metadata.docType] - Type of documentation
+ * @property {string} [metadata.section] - Heading breadcrumb within the page
+ * @property {string} [metadata.anchorUrl] - Deep link to the chunk's heading
+ * @property {number|null} [metadata.distance] - Vector distance, if the chunk was found by vector search
+ * @property {number|null} [metadata.certainty] - Vector certainty, if the chunk was found by vector search
+ * @property {number|null} [metadata.hybridScore] - Hybrid search score, if the chunk was found by hybrid search
+ * @property {number} [metadata.rerankScore] - Score assigned by the reranker
+ * @property {boolean} [metadata.exactMatch] - Whether the chunk was fetched by exact endpoint lookup
+ */
+
 /**
  * Response from the chatbot
  * @typedef {Object} ChatbotResponse
@@ -88,6 +113,8 @@
  * @property {Object} [metadata] - Response metadata
  * @property {string} [metadata.model] - Model used for generation
  * @property {number} [metadata.processingTime] - Time taken to generate response
+ * @property {string} [metadata.rewrittenQuery] - Standalone question used for retrieval
+ * @property {string} [metadata.sessionId] - Session the answer belongs to (REST API responses)
  */
 
 /**
@@ -103,6 +130,21 @@
  * @property {Array<{url: string, text: string}>} [metadata.internalLinks] - Links to other docs
  * @property {Array<{url: string, text: string}>} [metadata.externalLinks] - Links to external sources
  * @property {Date} metadata.scrapedAt - When the page was scraped
+ * @property {string} [metadata.framework] - Framework declared by the source, overrides detection
+ * @property {string} [metadata.version] - Version declared by the source, overrides detection
+ * @property {string} [metadata.docType] - Doc type declared by the source, overrides detection
+ * @property {string} [metadata.section] - Heading breadcrumb of the page within its source
+ * @property {ApiOperation} [metadata.operation] - The API operation an OpenAPI operation page documents
+ */
+
+/**
+ * API operation documented by a page, stored as structured properties for exact lookup
+ * @typedef {Object} ApiOperation
+ * @property {string} method - HTTP method in upper case
+ * @property {string} path - Path template as written in the spec, e.g. "/@apostrophecms/page/{_id}"
+ * @property {string} [operationId] - OpenAPI operationId
+ * @property {string[]} tags - OpenAPI tags
+ * @property {boolean} deprecated - Whether the operation is deprecated
  */
 
 /**
@@ -113,7 +155,8 @@
  * @property {string} metadata.source - Source URL or file
  * @property {number} metadata.chunkIndex - Index of this chunk
  * @property {number} metadata.totalChunks - Total chunks from source
- * @property {string} [metadata.section] - Section/heading this chunk falls under
+ * @property {string} [metadata.section] - Heading breadcrumb this chunk falls under, e.g. "Widgets > Widget options"
+ * @property {string|null} [metadata.anchor] - Fragment ID of the chunk's closest heading
  */
 
 /**
@@ -121,20 +164,28 @@
  * @typedef {Object} ScraperConfig
  * @property {string} baseUrl - Base URL to start scraping
  * @property {string} [sitemapUrl]
- * @property {number} [maxDepth] - Maximum link depth to follow
+ * @property {number} [maxDepth] - Maximum link depth to follow from sitemap pages (0 = sitemap only)
  * @property {number} [maxPages] - Maximum pages to scrape
  * @property {string[]} [allowedDomains] - Domains allowed for scraping
  * @property {string[]} [excludePatterns] - URL patterns to exclude
  * @property {number} [delayMs] - Delay between requests
- * @property {boolean} [respectRobotsTxt] - Whether to respect robots.txt
+ * @property {boolean} [respectRobotsTxt] - Whether to respect robots.txt disallow rules and crawl-delay
+ * @property {number} [concurrency] - Pages scraped at once
+ * @property {number} [retries] - Retries for timeouts, network errors and 5xx responses
+ * @property {number} [retryDelayMs] - Delay before the first retry, doubled for each further retry
+ * @property {boolean} [renderJs] - Render every page with Playwright instead of trying static HTML first
+ * @property {string} [cacheDir] - Directory caching raw responses and scraped pages; no caching if unset
+ * @property {boolean} [fromCache] - Scrape only from the cache, without network access
  */
 
 /**
  * Configuration for chunking strategy
  * @typedef {Object} ChunkConfig
+ * @property {'markdown' | 'recursive'} [strategy] - `markdown` splits on headings and keeps code
+ *   fences and tables whole; `recursive` splits on `separators`
  * @property {number} maxChunkSize - Maximum characters per chunk
- * @property {number} overlap - Overlap between chunks in characters
- * @property {string[]} [separators] - Separators for splitting (in priority order)
+ * @property {number} overlap - Overlap between chunks in characters (markdown: largest block repeated)
+ * @property {string[]} [separators] - Separators for splitting (in priority order, recursive only)
  */
 
 /**
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Weaviate collection aliases
+ * Readers query the `AposDocs` alias while ingestion builds versioned classes
+ * such as `AposDocs_20261019` and repoints the alias in one request once a
+ * build is verified. weaviate-ts-client has no alias API, so this talks to
+ * the REST endpoints (Weaviate 1.32+) directly.
+ */
+
+/**
+ * Aliases of one Weaviate instance
+ */
+export class WeaviateAliases {
+  /**
+   * @param {string} url - Weaviate instance URL
+   * @param {string} [apiKey] - API key if authentication is enabled
+   */
+  constructor(url, apiKey) {
+    this.baseUrl = `${url.startsWith('http') ? url : `http://${url}`}`.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Class an alias points to
+   * @param {string} alias
+   * @returns {Promise<string|null>} Null if there is no such alias
+   */
+  async get(alias) {
+    const response = await this.request('GET', `/v1/aliases/${encodeURIComponent(alias)}`);
+    return response?.class ?? null;
+  }
+
+  /**
+   * List all aliases
+   * @returns {Promise<Array<{alias: string, class: string}>>}
+   */
+  async list() {
+    const response = await this.request('GET', '/v1/aliases');
+    return response?.aliases || [];
+  }
+
+  /**
+   * Point an alias at a class, creating the alias if needed
+   * Repointing is a single request, so readers switch over atomically.
+   * @param {string} alias
+   * @param {string} className
+   * @returns {Promise<void>}
+   */
+  async set(alias, className) {
+    if (await this.get(alias)) {
+      await this.request('PUT', `/v1/aliases/${encodeURIComponent(alias)}`, { class: className });
+    } else {
+      await this.request('POST', '/v1/aliases', { alias, class: className });
+    }
+  }
+
+  /**
+   * Class a name refers to: the alias target, or the name itself if it is not an alias
+   * @param {string} name
+   * @returns {Promise<string>}
+   */
+  async resolve(name) {
+    return (await this.get(name)) || name;
+  }
+
+  /**
+   * Send a request to the REST API
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} [body]
+   * @returns {Promise<Object|null>} Parsed response, or null for 404
+   * @throws {Error} For other error responses
+   */
+  async request(method, path, body) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body && { 'Content-Type': 'application/json' }),
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Weaviate ${method} ${path} failed: ${response.status} ${await response.text()}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+  }
+}
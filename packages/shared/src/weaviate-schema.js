@@ -1,10 +1,15 @@
 /**
  * @fileoverview Weaviate schema definition for ApostropheCMS documentation
+ * Classes are created and upgraded by the migrations in schema-migrations.js;
+ * a change here needs a migration there.
  */
 
+import { getEmbeddingConfig } from './constants.js';
+
 /**
  * Schema for the AposDocs class in Weaviate
- * This defines the structure of documents stored in the vector database
+ * This defines the structure of documents stored in the vector database.
+ * Adding or changing a property needs a new entry in MIGRATIONS.
  */
 export const APOS_DOCS_SCHEMA = {
   class: 'AposDocs',
@@ -97,7 +102,17 @@ export const APOS_DOCS_SCHEMA = {
     {
       name: 'section',
       dataType: ['text'],
-      description: 'Section or category within the documentation',
+      description: 'Heading breadcrumb of the chunk, e.g. "Widgets > Widget options"',
+      moduleConfig: {
+        'text2vec-openai': {
+          skip: true
+        }
+      }
+    },
+    {
+      name: 'anchorUrl',
+      dataType: ['text'],
+      description: 'Deep link to the heading the chunk falls under (url#anchor)',
       moduleConfig: {
         'text2vec-openai': {
           skip: true
@@ -108,36 +123,103 @@ export const APOS_DOCS_SCHEMA = {
       name: 'lastUpdated',
       dataType: ['date'],
       description: 'Last update timestamp'
+    },
+    {
+      name: 'sourceName',
+      dataType: ['text'],
+      description: 'Ingestion source the document came from',
+      moduleConfig: {
+        'text2vec-openai': {
+          skip: true
+        }
+      }
+    },
+    {
+      name: 'contentHash',
+      dataType: ['text'],
+      description: 'Hash of the page the chunk came from, used to skip unchanged pages',
+      moduleConfig: {
+        'text2vec-openai': {
+          skip: true
+        }
+      }
+    },
+    {
+      name: 'chunkIndex',
+      dataType: ['int'],
+      description: 'Position of the chunk within its page'
+    },
+    {
+      name: 'httpMethod',
+      dataType: ['text'],
+      description: 'API operations: HTTP method in upper case, e.g. "PATCH"',
+      tokenization: 'field',
+      moduleConfig: {
+        'text2vec-openai': {
+          skip: true
+        }
+      }
+    },
+    {
+      name: 'apiPath',
+      dataType: ['text'],
+      description: 'API operations: path template as written in the spec, e.g. "/@apostrophecms/page/{_id}"',
+      tokenization: 'field',
+      moduleConfig: {
+        'text2vec-openai': {
+          skip: true
+        }
+      }
+    },
+    {
+      name: 'operationId',
+      dataType: ['text'],
+      description: 'API operations: OpenAPI operationId',
+      tokenization: 'field',
+      moduleConfig: {
+        'text2vec-openai': {
+          skip: true
+        }
+      }
+    },
+    {
+      name: 'apiTags',
+      dataType: ['text[]'],
+      description: 'API operations: OpenAPI tags',
+      tokenization: 'field',
+      moduleConfig: {
+        'text2vec-openai': {
+          skip: true
+        }
+      }
+    },
+    {
+      name: 'deprecated',
+      dataType: ['boolean'],
+      description: 'API operations: whether the operation is deprecated'
     }
   ]
 };
 
 /**
- * Create the schema in Weaviate
- * @param {import('weaviate-ts-client').WeaviateClient} client - Weaviate client instance
- * @returns {Promise<void>}
+ * Schema for a documentation class under an embedding configuration
+ * With the `weaviate` provider this is APOS_DOCS_SCHEMA itself. Other
+ * providers import their own vectors, so the class gets `vectorizer: 'none'`
+ * and no module config; Weaviate then needs no model access at all.
+ * @param {import('./constants.js').EmbeddingConfig} [embedding]
+ * @returns {Object} Weaviate class definition
  */
-export async function createSchema(client) {
-  try {
-    // Check if class already exists
-    const exists = await client.schema
-      .classGetter()
-      .withClassName(APOS_DOCS_SCHEMA.class)
-      .do()
-      .catch(() => null);
-
-    if (exists) {
-      console.log(`Schema ${APOS_DOCS_SCHEMA.class} already exists`);
-      return;
-    }
-
-    // Create the class
-    await client.schema.classCreator().withClass(APOS_DOCS_SCHEMA).do();
-    console.log(`Created schema: ${APOS_DOCS_SCHEMA.class}`);
-  } catch (error) {
-    console.error('Error creating schema:', error);
-    throw error;
+export function createDocsSchema(embedding = getEmbeddingConfig()) {
+  if (embedding.provider === 'weaviate') {
+    return APOS_DOCS_SCHEMA;
   }
+
+  const { moduleConfig, ...schema } = APOS_DOCS_SCHEMA;
+  return {
+    ...schema,
+    vectorizer: 'none',
+    properties: schema.properties.map(({ moduleConfig: propertyConfig, ...property }) => property)
+  };
 }
 
 /**